@@ -0,0 +1,83 @@
+require('dotenv').config();
+const { MongoClient, ObjectId } = require('mongodb');
+
+const uri = process.env.MONGODB_URI || "mongodb://127.0.0.1:27017";
+const client = new MongoClient(uri);
+
+// Creates one purchase order for every import that has no orders yet, using
+// the price stored on the import, then recomputes each product's importCount
+// (used by the popularity sort). Safe to run more than once.
+async function backfillOrders() {
+  try {
+    console.log('🔄 Connecting to MongoDB...');
+    await client.connect();
+    console.log('✅ Connected.');
+
+    const db = client.db("exportHub");
+    const imports = db.collection("imports");
+    const orders = db.collection("orders");
+    const products = db.collection("products");
+
+    const allImports = await imports.find({}).toArray();
+    console.log(`found ${allImports.length} imports to check.`);
+
+    let createdCount = 0;
+
+    for (const imp of allImports) {
+      const hasOrders = await orders.countDocuments({ importId: imp._id }, { limit: 1 });
+      if (hasOrders || !imp.importedQuantity) continue;
+
+      let sellerEmail = imp.sellerEmail || null;
+      if (!sellerEmail && ObjectId.isValid(imp.productId)) {
+        const product = await products.findOne({ _id: new ObjectId(imp.productId) }, { projection: { userEmail: 1 } });
+        sellerEmail = product ? product.userEmail : null;
+      }
+
+      const unitPrice = parseFloat(imp.price) || 0;
+      await orders.insertOne({
+        importId: imp._id,
+        productId: imp.productId,
+        productName: imp.productName,
+        type: 'purchase',
+        quantity: imp.importedQuantity,
+        unitPrice,
+        amount: unitPrice * imp.importedQuantity,
+        buyerEmail: imp.userEmail,
+        buyerName: imp.userName,
+        sellerEmail,
+        createdBy: imp.userEmail,
+        createdAt: imp.createdAt || new Date(),
+        backfilled: true
+      });
+
+      if (sellerEmail && !imp.sellerEmail) {
+        await imports.updateOne({ _id: imp._id }, { $set: { sellerEmail } });
+      }
+
+      createdCount++;
+      process.stdout.write('.');
+    }
+
+    console.log(`\n✅ Created ${createdCount} orders.`);
+
+    const counts = await orders.aggregate([
+      // Purchases of removed imports no longer count
+      { $match: { type: 'purchase', importId: { $in: allImports.map(imp => imp._id) } } },
+      { $group: { _id: '$productId', count: { $sum: 1 } } }
+    ]).toArray();
+
+    for (const { _id, count } of counts) {
+      if (!ObjectId.isValid(_id)) continue;
+      await products.updateOne({ _id: new ObjectId(_id) }, { $set: { importCount: count } });
+    }
+
+    console.log(`✅ Updated importCount for ${counts.length} products.`);
+
+  } catch (error) {
+    console.error('❌ Error:', error);
+  } finally {
+    await client.close();
+  }
+}
+
+backfillOrders();
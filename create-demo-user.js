@@ -1,5 +1,6 @@
 require('dotenv').config();
 const { MongoClient } = require('mongodb');
+const { hashPassword } = require('./password');
 
 // URI from env or default local
 const uri = process.env.MONGODB_URI;
@@ -19,6 +20,7 @@ async function createDemoUser() {
 
     const demoUserEmail = 'demo123@gmail.com';
     const demoUserPassword = 'Nayem1234@';
+    const demoUserPasswordHash = await hashPassword(demoUserPassword);
     
     // Check if user exists
     const existingUser = await usersCollection.findOne({ email: demoUserEmail });
@@ -30,7 +32,7 @@ async function createDemoUser() {
         { email: demoUserEmail },
         { 
           $set: { 
-            password: demoUserPassword,
+            password: demoUserPasswordHash,
             name: "Demo User",
             updatedAt: new Date()
           } 
@@ -42,7 +44,7 @@ async function createDemoUser() {
       const newUser = {
         name: "Demo User",
         email: demoUserEmail,
-        password: demoUserPassword, // Plain text as per this codebase
+        password: demoUserPasswordHash,
         photoURL: "https://ui-avatars.com/api/?name=Demo+User",
         googleAuth: false,
         role: "user",
@@ -0,0 +1,84 @@
+// RFC 4180 style CSV helpers: quoted fields, doubled quotes, CRLF or LF
+// line endings and line breaks inside quotes.
+
+// Parses text into an array of records keyed by the header row
+const parseCsv = (text) => {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+  const input = String(text).replace(/^\uFEFF/, '');
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+
+    if (inQuotes) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+      continue;
+    }
+
+    if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  const [header, ...records] = rows.filter(r => r.some(value => value.trim() !== ''));
+  if (!header) return [];
+
+  const keys = header.map(h => h.trim());
+  return records.map(values => {
+    const record = {};
+    keys.forEach((key, index) => {
+      if (key) record[key] = values[index] !== undefined ? unescapeFormula(values[index]) : '';
+    });
+    return record;
+  });
+};
+
+// Spreadsheet apps execute cells starting with these characters as formulas.
+// Numbers and phone-style values ("-5", "+880 1711-000000") can't call
+// anything, so they are written as they are.
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+const PLAIN_NUMBER = /^[+-]?[\d\s().-]+$/;
+
+const isFormula = (str) => FORMULA_PREFIX.test(str) && !PLAIN_NUMBER.test(str);
+
+// Drops the quote escapeCsvValue put in front of a formula, so a downloaded
+// file uploads back unchanged
+const unescapeFormula = (str) => (str.startsWith("'") && isFormula(str.slice(1)) ? str.slice(1) : str);
+
+const escapeCsvValue = (value) => {
+  if (value === undefined || value === null) return '';
+  if (value instanceof Date) return value.toISOString();
+
+  let str = String(value);
+  if (typeof value === 'string' && isFormula(str)) str = `'${str}`;
+  return /[",\r\n]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+};
+
+const toCsvRow = (values) => values.map(escapeCsvValue).join(',') + '\r\n';
+
+module.exports = { parseCsv, toCsvRow };
@@ -0,0 +1,154 @@
+const fs = require('fs');
+
+// Money helpers. Amounts are handled as BigInts in the currency's minor unit
+// (cents, or yen for JPY) and exchange rates as BigInts scaled by
+// 10^RATE_DIGITS, so conversions and totals never pick up float drift.
+// Plain numbers only come back at the edges, in JSON responses.
+
+const DEFAULT_CURRENCY = (process.env.DEFAULT_CURRENCY || 'USD').toUpperCase();
+const CURRENCY_PATTERN = /^[A-Z]{3}$/;
+
+// ISO 4217 minor unit digits, where they differ from 2
+const MINOR_DIGITS = { JPY: 0, KRW: 0, VND: 0, CLP: 0, ISK: 0, UGX: 0, BHD: 3, KWD: 3, OMR: 3, JOD: 3, TND: 3 };
+const RATE_DIGITS = 10;
+
+const minorDigits = (currency) => MINOR_DIGITS[currency] ?? 2;
+
+// Decimal (number, string or Decimal128) -> BigInt with `digits` decimals,
+// rounding half away from zero. Numbers are read through their shortest
+// string form, so 1.005 is 1.005 and not 1.00499999...
+const toScaled = (value, digits) => {
+  const match = /^([-+]?)(\d*)(?:\.(\d*))?(?:e([-+]?\d+))?$/i.exec(String(value).trim());
+  if (!match || (!match[2] && !match[3])) throw new Error(`Invalid amount: ${value}`);
+
+  let [, sign, whole = '', fraction = '', exponent = '0'] = match;
+
+  // Move the decimal point of exponent notation (1.5e-7, or "1.5E+3" from
+  // a Decimal128)
+  const shift = parseInt(exponent, 10);
+  if (shift > 0) {
+    whole += fraction.slice(0, shift).padEnd(shift, '0');
+    fraction = fraction.slice(shift);
+  } else if (shift < 0) {
+    const padded = whole.padStart(-shift, '0');
+    whole = padded.slice(0, shift);
+    fraction = padded.slice(shift) + fraction;
+  }
+
+  const padded = fraction.padEnd(digits + 1, '0');
+  let scaled = BigInt((whole || '0') + padded.slice(0, digits));
+  if (padded[digits] >= '5') scaled += 1n;
+  return sign === '-' ? -scaled : scaled;
+};
+
+// Integer division rounding half away from zero
+const divRound = (numerator, denominator) => {
+  const negative = (numerator < 0n) !== (denominator < 0n);
+  const n = numerator < 0n ? -numerator : numerator;
+  const d = denominator < 0n ? -denominator : denominator;
+  const quotient = (2n * n + d) / (2n * d);
+  return negative ? -quotient : quotient;
+};
+
+const toMinor = (amount, currency) => toScaled(amount, minorDigits(currency));
+
+const fromMinor = (minor, currency) => Number(minor) / 10 ** minorDigits(currency);
+
+// Fixed decimals without going through a float, e.g. 1234n USD -> "12.34"
+const formatMinor = (minor, currency) => {
+  const digits = minorDigits(currency);
+  const negative = minor < 0n;
+  const str = (negative ? -minor : minor).toString().padStart(digits + 1, '0');
+  const formatted = digits ? `${str.slice(0, -digits)}.${str.slice(-digits)}` : str;
+  return negative ? `-${formatted}` : formatted;
+};
+
+// Rates table: { base, rates: { CODE: units of CODE per 1 base } }. Values
+// may be numbers or decimal strings. Returns the table with scaled BigInt
+// rates; throws with a readable message when the input is invalid.
+const parseRates = (input) => {
+  if (!input || typeof input !== 'object') throw new Error('Rates must be an object with base and rates');
+
+  const base = String(input.base || '').trim().toUpperCase();
+  if (!CURRENCY_PATTERN.test(base)) throw new Error('base must be a 3-letter ISO 4217 code');
+  if (!input.rates || typeof input.rates !== 'object') throw new Error('rates must be an object of code -> rate');
+
+  const rates = { [base]: 10n ** BigInt(RATE_DIGITS) };
+  for (const [key, value] of Object.entries(input.rates)) {
+    const code = key.trim().toUpperCase();
+    if (!CURRENCY_PATTERN.test(code)) throw new Error(`${key} is not a 3-letter ISO 4217 code`);
+
+    let rate;
+    try {
+      rate = toScaled(value, RATE_DIGITS);
+    } catch (error) {
+      throw new Error(`Rate for ${code} must be a decimal number`);
+    }
+    if (rate <= 0n) throw new Error(`Rate for ${code} must be positive`);
+    if (code !== base) rates[code] = rate;
+  }
+
+  return { base, rates, updatedAt: input.updatedAt ? new Date(input.updatedAt) : new Date() };
+};
+
+// Rates as decimal strings, for storing and for responses
+const serializeRates = (table) => ({
+  base: table.base,
+  rates: Object.fromEntries(Object.entries(table.rates).map(([code, rate]) => [code, formatScaled(rate)])),
+  updatedAt: table.updatedAt
+});
+
+const formatScaled = (rate) => {
+  const str = rate.toString().padStart(RATE_DIGITS + 1, '0');
+  return `${str.slice(0, -RATE_DIGITS)}.${str.slice(-RATE_DIGITS)}`.replace(/\.?0+$/, '');
+};
+
+const loadRatesFile = (file) => parseRates(JSON.parse(fs.readFileSync(file, 'utf8')));
+
+const hasRate = (table, currency) => !!(table && table.rates[currency]);
+
+// Minor units of `from` -> minor units of `to`, or null without a rate
+const convertMinor = (minor, from, to, table) => {
+  if (from === to) return minor;
+  if (!hasRate(table, from) || !hasRate(table, to)) return null;
+
+  const numerator = minor * table.rates[to] * 10n ** BigInt(minorDigits(to));
+  const denominator = table.rates[from] * 10n ** BigInt(minorDigits(from));
+  return divRound(numerator, denominator);
+};
+
+// Convenience for a single price: number in, number (or null) out
+const convertAmount = (amount, from, to, table) => {
+  const minor = convertMinor(toMinor(amount, from), from, to, table);
+  return minor === null ? null : fromMinor(minor, to);
+};
+
+// { CODE: amount } totals -> { total, missing } in the target currency.
+// Currencies without a rate are left out of total and listed in missing.
+const convertTotals = (totals, to, table) => {
+  let sum = 0n;
+  const missing = [];
+  for (const [currency, amount] of Object.entries(totals)) {
+    const minor = convertMinor(toMinor(amount, currency), currency, to, table);
+    if (minor === null) missing.push(currency);
+    else sum += minor;
+  }
+  return { total: fromMinor(sum, to), missing };
+};
+
+module.exports = {
+  DEFAULT_CURRENCY,
+  CURRENCY_PATTERN,
+  minorDigits,
+  divRound,
+  toMinor,
+  fromMinor,
+  formatMinor,
+  parseRates,
+  serializeRates,
+  loadRatesFile,
+  hasRate,
+  convertMinor,
+  convertAmount,
+  convertTotals
+};
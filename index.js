@@ -2,13 +2,133 @@ require('dotenv').config();
 const express = require('express');
 const { MongoClient, ObjectId } = require('mongodb');
 const cors = require('cors');
+const multer = require('multer');
+const sharp = require('sharp');
+const crypto = require('crypto');
+const { once, EventEmitter } = require('events');
+const { hashPassword, verifyPassword, needsRehash } = require('./password');
+const {
+  ACCESS_TOKEN_TTL,
+  REFRESH_TOKEN_TTL,
+  signToken,
+  verifyToken,
+  generateRefreshToken,
+  hashRefreshToken
+} = require('./token');
+const { parseActivityQuery, bucketKeyExpression } = require('./timeseries');
+const { validate, validateBody, sendValidationError, schemas } = require('./validation');
+const { tokenize, buildIndex, searchIndex, suggest } = require('./search-index');
+const {
+  parseLimit,
+  isCursorMode,
+  encodeCursor,
+  decodeCursor,
+  cursorFilter,
+  cursorSort,
+  buildCursorPage,
+  findCursorPage,
+  validateCursor
+} = require('./pagination');
+const { parseCsv, toCsvRow } = require('./csv');
+const { createPdfWriter } = require('./pdf');
+const { createStorage } = require('./storage');
+const { slugify } = require('./slug');
+const { createNotifierFromEnv } = require('./notifier');
+const { generateSecret, checkWebhookUrl, processQueue, startWebhookWorker } = require('./webhooks');
+const {
+  DEFAULT_CURRENCY,
+  CURRENCY_PATTERN,
+  divRound,
+  toMinor,
+  fromMinor,
+  formatMinor,
+  parseRates,
+  serializeRates,
+  loadRatesFile,
+  hasRate,
+  convertAmount,
+  convertTotals
+} = require('./currency');
+const { ARCHIVE_RETENTION_DAYS, purgeArchivedProducts, removeProductImages } = require('./purge');
+const {
+  STATUSES,
+  DEFAULT_STATUS,
+  PUBLIC_STATUSES,
+  LISTED_STATUSES,
+  TRANSITIONS,
+  baseStatus,
+  canTransition,
+  statusForStock,
+  statusQuery
+} = require('./product-status');
 
 const app = express();
 const port = process.env.PORT || 3000;
 
 app.use(cors());
+// Bulk uploads may be large and may be CSV
+const BULK_BODY_LIMIT = '5mb';
+app.use('/products/bulk', express.json({ limit: BULK_BODY_LIMIT }), express.text({ type: ['text/csv', 'text/plain'], limit: BULK_BODY_LIMIT }));
 app.use(express.json());
 
+// Uploaded images - served from here only with the local storage driver
+const imageStorage = createStorage();
+if (imageStorage.name === 'local') {
+  app.use('/uploads', express.static(imageStorage.dir, { maxAge: '7d' }));
+}
+
+// Stored in-app notifications are also announced here ('created' with the
+// document, 'read' with the user's email) for the live event streams. This is
+// per process: with several instances a client only hears its own instance.
+const notificationEvents = new EventEmitter();
+notificationEvents.setMaxListeners(0); // one listener per open stream
+
+// Notifications go out through the channels chosen by NOTIFIERS
+const notifier = createNotifierFromEnv(process.env, {
+  getNotifications: () => notificationsCollection,
+  onCreate: (doc) => notificationEvents.emit('created', doc)
+});
+
+// Deliver several notifications, skipping ones without a recipient. Channel
+// failures are logged by the notifier, so this never rejects; routes don't
+// wait for it.
+const notifyAll = (notifications) => {
+  return Promise.all(notifications.filter(n => n && n.userEmail).map(n => notifier.notify(n)));
+};
+
+// Queue an event (one delivery per payload) for the active webhooks of the
+// given users that subscribed to it. The webhook worker sends them; a
+// queueing problem is logged and never fails the request that caused it.
+const queueWebhookEvent = async (event, recipients, payloads) => {
+  try {
+    const emails = [...new Set(recipients.filter(Boolean))];
+    const hooks = await webhooksCollection
+      .find({ userEmail: { $in: emails }, active: true, events: event })
+      .project({ _id: 1, userEmail: 1 })
+      .toArray();
+
+    if (hooks.length === 0) return;
+
+    const now = new Date();
+    await webhookDeliveriesCollection.insertMany(hooks.flatMap(hook => [].concat(payloads).map(payload => ({
+      webhookId: hook._id,
+      userEmail: hook.userEmail,
+      event,
+      payload,
+      status: 'pending',
+      attempts: 0,
+      nextAttemptAt: now,
+      createdAt: now
+    }))));
+  } catch (error) {
+    console.error(`❌ Failed to queue ${event} webhooks:`, error);
+  }
+};
+
+// Internal product events. 'restocked' fires with the updated product when
+// its stock goes from 0 to positive.
+const productEvents = new EventEmitter();
+
 // Firebase Admin SDK setup for Vercel deployment (Optional - if using Firebase Auth)
 let admin;
 try {
@@ -30,6 +150,21 @@ try {
   console.log("ℹ Firebase Admin SDK not configured (optional)");
 }
 
+// Verifies a Firebase ID token and resolves to its decoded claims. Tests and
+// local setups without a service key can stub it through
+// app.locals.verifyFirebaseIdToken = async (idToken) => ({ uid, email, ... })
+const verifyFirebaseIdToken = async (idToken) => {
+  if (typeof app.locals.verifyFirebaseIdToken === 'function') {
+    return app.locals.verifyFirebaseIdToken(idToken);
+  }
+  if (!admin) {
+    return null;
+  }
+  return admin.auth().verifyIdToken(idToken);
+};
+
+const isFirebaseConfigured = () => !!admin || typeof app.locals.verifyFirebaseIdToken === 'function';
+
 // MongoDB connection with Vercel-friendly options
 const uri = process.env.MONGODB_URI || "mongodb://127.0.0.1:27017";
 const client = new MongoClient(uri, {
@@ -38,7 +173,8 @@ const client = new MongoClient(uri, {
   socketTimeoutMS: 30000,
 });
 
-let database, productsCollection, importsCollection, usersCollection;
+let database, productsCollection, categoriesCollection, importsCollection, ordersCollection, usersCollection, refreshTokensCollection, reviewsCollection;
+let wishlistsCollection, notificationsCollection, webhooksCollection, webhookDeliveriesCollection, currencyRatesCollection;
 let isMongoConnected = false;
 
 
@@ -63,8 +199,53 @@ async function connectToMongoDB() {
 
       database = client.db("exportHub");
       productsCollection = database.collection("products");
+      categoriesCollection = database.collection("categories");
       importsCollection = database.collection("imports");
+      ordersCollection = database.collection("orders");
       usersCollection = database.collection("users");
+      refreshTokensCollection = database.collection("refreshTokens");
+      reviewsCollection = database.collection("reviews");
+      wishlistsCollection = database.collection("wishlists");
+      notificationsCollection = database.collection("notifications");
+      webhooksCollection = database.collection("webhooks");
+      webhookDeliveriesCollection = database.collection("webhookDeliveries");
+      currencyRatesCollection = database.collection("currencyRates");
+
+      // One import document per buyer and product, so concurrent upserts merge
+      await importsCollection.createIndex({ productId: 1, userEmail: 1 }, { unique: true })
+        .catch(error => console.log("⚠️  Could not create unique imports index:", error.message));
+
+      await categoriesCollection.createIndex({ slug: 1 }, { unique: true });
+      await ordersCollection.createIndex({ buyerEmail: 1, createdAt: -1 });
+      await ordersCollection.createIndex({ sellerEmail: 1, createdAt: -1 });
+      await ordersCollection.createIndex({ importId: 1 });
+      // Sales per product ($lookup in sellerSalesPipeline, seller totals)
+      await ordersCollection.createIndex({ productId: 1 });
+
+      // Expired refresh tokens are cleaned up by Mongo itself
+      await refreshTokensCollection.createIndex({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+      await refreshTokensCollection.createIndex({ tokenHash: 1 }, { unique: true });
+
+      // One review per buyer and product
+      await reviewsCollection.createIndex({ productId: 1, userEmail: 1 }, { unique: true });
+      await reviewsCollection.createIndex({ productId: 1, status: 1, createdAt: -1 });
+
+      await wishlistsCollection.createIndex({ userEmail: 1, productId: 1 }, { unique: true });
+      await wishlistsCollection.createIndex({ productId: 1, notify: 1 });
+      await notificationsCollection.createIndex({ userEmail: 1, createdAt: -1 });
+      await notificationsCollection.createIndex({ userEmail: 1, read: 1 });
+
+      // Webhook delivery queue, and its log trimmed after 30 days
+      await webhooksCollection.createIndex({ userEmail: 1, events: 1 });
+      await webhookDeliveriesCollection.createIndex({ status: 1, nextAttemptAt: 1 });
+      await webhookDeliveriesCollection.createIndex({ webhookId: 1, createdAt: -1 });
+      await webhookDeliveriesCollection.createIndex({ createdAt: 1 }, { expireAfterSeconds: 30 * 24 * 60 * 60 });
+
+      // Products from before reference prices existed get one (only the
+      // first start after upgrading finds any)
+      await refreshReferencePrices({ referencePrice: { $exists: false } })
+        .then(count => count && console.log(`💱 Set reference prices on ${count} products`))
+        .catch(error => console.error('❌ Error setting reference prices:', error));
       
       console.log("✅ Database and collections initialized");
       return; // Success, exit the function
@@ -117,6 +298,158 @@ const checkMongoConnection = async (req, res, next) => {
   }
 };
 
+// Claims of an access token, or null. Single-purpose tokens (the
+// notification stream's) are not sessions and give null here.
+const verifySessionToken = (token) => {
+  const claims = verifyToken(token);
+  return claims && !claims.purpose ? claims : null;
+};
+
+// Resolve the caller from our own access token or a Firebase ID token
+const verifyAuth = async (req, res, next) => {
+  try {
+    const token = getBearerToken(req);
+
+    if (!token) {
+      return res.status(401).send({ 
+        success: false,
+        error: 'Authentication required' 
+      });
+    }
+
+    // Role is always read from the database so role changes apply immediately
+    const claims = verifySessionToken(token);
+    if (claims) {
+      const user = await usersCollection.findOne(
+        { _id: new ObjectId(claims.sub) },
+        { projection: { email: 1, role: 1 } }
+      );
+
+      if (!user) {
+        return res.status(401).send({ 
+          success: false,
+          error: 'Invalid or expired token' 
+        });
+      }
+
+      req.user = {
+        _id: user._id,
+        email: user.email,
+        role: user.role || 'user',
+        provider: 'local'
+      };
+      return next();
+    }
+
+    if (isFirebaseConfigured()) {
+      let decoded;
+      try {
+        decoded = await verifyFirebaseIdToken(token);
+      } catch (error) {
+        decoded = null;
+      }
+
+      // Same rules as POST /auth/firebase: a verified email, and the account
+      // linked to this uid - never just any account with the same email
+      if (decoded) {
+        const { user, error } = await findFirebaseUser(decoded);
+
+        if (error) {
+          return res.status(error.status).send({ 
+            success: false,
+            error: error.message 
+          });
+        }
+
+        req.user = {
+          _id: user ? user._id : null,
+          email: user ? user.email : decoded.email,
+          role: (user && user.role) || 'user',
+          uid: decoded.uid,
+          provider: 'firebase'
+        };
+        return next();
+      }
+    }
+
+    return res.status(401).send({ 
+      success: false,
+      error: 'Invalid or expired token' 
+    });
+  } catch (error) {
+    console.error('❌ Error in verifyAuth:', error);
+    return res.status(401).send({ 
+      success: false,
+      error: 'Invalid or expired token' 
+    });
+  }
+};
+
+const ROLES = ['user', 'moderator', 'admin'];
+
+const hasRole = (req, ...roles) => {
+  return !!(req.user && roles.includes(req.user.role));
+};
+
+// Like verifyAuth for routes that also serve anonymous visitors: without a
+// token the request passes through with no req.user
+const optionalAuth = (req, res, next) => {
+  if (!getBearerToken(req)) return next();
+  return verifyAuth(req, res, next);
+};
+
+// Use after verifyAuth, e.g. verifyRole('admin')
+const verifyRole = (...roles) => (req, res, next) => {
+  if (!hasRole(req, ...roles)) {
+    return res.status(403).send({ 
+      success: false,
+      error: 'Insufficient permissions' 
+    });
+  }
+  next();
+};
+
+const isOwner = (req, email) => {
+  return !!(req.user && email && req.user.email.toLowerCase() === String(email).toLowerCase());
+};
+
+// For routes scoped by :email - only that user (or an admin) may access them
+const verifyEmailOwner = (req, res, next) => {
+  if (!isOwner(req, req.params.email) && !hasRole(req, 'admin')) {
+    return res.status(403).send({ 
+      success: false,
+      error: 'Forbidden' 
+    });
+  }
+  next();
+};
+
+// Issue an access token plus a revocable refresh token for a user document
+const issueSession = async (user) => {
+  const refreshToken = generateRefreshToken();
+
+  await refreshTokensCollection.insertOne({
+    tokenHash: hashRefreshToken(refreshToken),
+    userId: user._id,
+    email: user.email,
+    createdAt: new Date(),
+    expiresAt: new Date(Date.now() + REFRESH_TOKEN_TTL * 1000),
+    revokedAt: null
+  });
+
+  return {
+    token: signToken({ sub: user._id.toString(), email: user.email, role: user.role || 'user' }),
+    refreshToken,
+    expiresIn: ACCESS_TOKEN_TTL
+  };
+};
+
+const getBearerToken = (req) => {
+  const header = req.headers.authorization || '';
+  const [scheme, token] = header.split(' ');
+  return scheme && scheme.toLowerCase() === 'bearer' && token ? token : null;
+};
+
 app.get('/', async (req, res) => {
   // Try to connect if not connected yet (lazy connection)
   await ensureMongoConnection();
@@ -130,13 +463,14 @@ app.get('/', async (req, res) => {
       imports: '/imports',
       exports: '/exports',
       users: '/users',
-      auth: '/login'
+      auth: '/login',
+      me: '/me'
     }
   });
 });
 
 // Debug endpoint to check environment variables
-app.get('/debug', (req, res) => {
+app.get('/debug', checkMongoConnection, verifyAuth, verifyRole('admin'), (req, res) => {
   const mongoUri = process.env.MONGODB_URI;
   res.send({
     success: true,
@@ -156,7 +490,7 @@ app.get('/debug', (req, res) => {
 });
 
 // Test MongoDB connection manually
-app.get('/test-connection', async (req, res) => {
+app.get('/test-connection', checkMongoConnection, verifyAuth, verifyRole('admin'), async (req, res) => {
   try {
     const testUri = process.env.MONGODB_URI;
     const testClient = new MongoClient(testUri);
@@ -190,24 +524,141 @@ app.get('/test-connection', async (req, res) => {
   }
 });
 
+// Account for a decoded Firebase ID token: the one linked to its uid, else an
+// unlinked account with the same (verified) email, which gets linked. Returns
+// { user } (user is null when there is no account yet) or { error }.
+const findFirebaseUser = async (decoded) => {
+  if (!decoded.uid || !decoded.email) {
+    return { error: { status: 401, message: 'Invalid Firebase ID token' } };
+  }
+
+  if (decoded.email_verified !== true) {
+    return { error: { status: 403, message: 'Email address is not verified' } };
+  }
+
+  let user = await usersCollection.findOne({ uid: decoded.uid });
+  if (user) return { user };
+
+  user = await usersCollection.findOne({ email: decoded.email });
+  if (!user) return { user: null };
+
+  if (user.uid && user.uid !== decoded.uid) {
+    return { error: { status: 409, message: 'This email is linked to a different Firebase account' } };
+  }
+
+  // Link the existing email account to this Firebase identity
+  await usersCollection.updateOne(
+    { _id: user._id },
+    {
+      $set: {
+        uid: decoded.uid,
+        googleAuth: true,
+        ...(!user.photoURL && decoded.picture && { photoURL: decoded.picture }),
+        updatedAt: new Date()
+      }
+    }
+  );
+  console.log(`🔗 Linked Firebase uid to ${user.email}`);
+  return { user: { ...user, uid: decoded.uid, googleAuth: true, photoURL: user.photoURL || decoded.picture || '' } };
+};
+
+// Sign in with a Firebase ID token. The user is matched by uid, then linked
+// to an existing account by verified email, or created.
+const firebaseLogin = async (req, res) => {
+  try {
+    const idToken = (req.body || {}).idToken || getBearerToken(req);
+
+    if (!idToken) {
+      return res.status(400).send({ 
+        success: false,
+        message: 'Firebase ID token is required' 
+      });
+    }
+
+    if (!isFirebaseConfigured()) {
+      return res.status(503).send({ 
+        success: false,
+        message: 'Firebase authentication is not configured' 
+      });
+    }
+
+    let decoded;
+    try {
+      decoded = await verifyFirebaseIdToken(idToken);
+    } catch (error) {
+      decoded = null;
+    }
+
+    if (!decoded) {
+      return res.status(401).send({ 
+        success: false,
+        message: 'Invalid Firebase ID token' 
+      });
+    }
+
+    let { user, error } = await findFirebaseUser(decoded);
+    let created = false;
+
+    if (error) {
+      return res.status(error.status).send({ 
+        success: false,
+        message: error.message 
+      });
+    }
+
+    if (!user) {
+      const newUser = {
+        name: decoded.name || decoded.email.split('@')[0],
+        email: decoded.email,
+        photoURL: decoded.picture || '',
+        googleAuth: true,
+        uid: decoded.uid,
+        role: 'user',
+        createdAt: new Date(),
+        updatedAt: new Date()
+      };
+      const result = await usersCollection.insertOne(newUser);
+      user = { ...newUser, _id: result.insertedId };
+      created = true;
+    }
+
+    res.status(created ? 201 : 200).send({
+      success: true,
+      message: created ? 'User registered successfully' : 'Login successful',
+      user: {
+        email: user.email,
+        name: user.name,
+        image: user.photoURL || user.image
+      },
+      ...(await issueSession(user))
+    });
+  } catch (error) {
+    console.error('Error signing in with Firebase:', error);
+    res.status(500).send({ 
+      success: false,
+      message: 'Failed to sign in with Firebase' 
+    });
+  }
+};
+
+app.post('/auth/firebase', checkMongoConnection, firebaseLogin);
+
 app.post('/users', checkMongoConnection, async (req, res) => {
   try {
-    const { name, email, password, photoURL, googleAuth, uid } = req.body;
+    // Google sign-ups must prove their identity with an ID token
+    if (req.body && req.body.googleAuth) {
+      return firebaseLogin(req, res);
+    }
+
+    const { value, errors } = validate(schemas.user, req.body);
+    if (errors.length > 0) {
+      return sendValidationError(res, errors);
+    }
+    const { name, email, password, photoURL } = value;
 
     const existingUser = await usersCollection.findOne({ email });
     
     if (existingUser) {
-      if (googleAuth) {
-        return res.send({
-          success: true,
-          message: 'User already exists',
-          user: {
-            email: existingUser.email,
-            name: existingUser.name,
-            image: existingUser.photoURL || existingUser.image
-          }
-        });
-      }
       return res.status(400).send({ 
         success: false,
         message: 'User already exists with this email' 
@@ -218,15 +669,14 @@ app.post('/users', checkMongoConnection, async (req, res) => {
       name,
       email,
       photoURL: photoURL || '',
-      googleAuth: googleAuth || false,
-      uid: uid || null,
+      googleAuth: false,
+      uid: null,
+      role: 'user',
       createdAt: new Date(),
       updatedAt: new Date()
     };
 
-    if (password && !googleAuth) {
-      newUser.password = password;
-    }
+    newUser.password = await hashPassword(password);
 
     const result = await usersCollection.insertOne(newUser);
 
@@ -238,7 +688,7 @@ app.post('/users', checkMongoConnection, async (req, res) => {
         name: newUser.name,
         image: newUser.photoURL
       },
-      token: 'user-token-' + result.insertedId
+      ...(await issueSession({ ...newUser, _id: result.insertedId }))
     });
   } catch (error) {
     console.error('Error registering user:', error);
@@ -249,7 +699,7 @@ app.post('/users', checkMongoConnection, async (req, res) => {
   }
 });
 
-app.post('/login', checkMongoConnection, async (req, res) => {
+app.post('/login', checkMongoConnection, validateBody(schemas.login), async (req, res) => {
   try {
     const { email, password } = req.body;
 
@@ -262,13 +712,24 @@ app.post('/login', checkMongoConnection, async (req, res) => {
       });
     }
 
-    if (user.password !== password) {
+    const passwordValid = await verifyPassword(password, user.password);
+
+    if (!passwordValid) {
       return res.status(401).send({ 
         success: false,
         message: 'Invalid email or password' 
       });
     }
 
+    // Upgrade legacy plaintext (or weakly hashed) passwords on successful login
+    if (needsRehash(user.password)) {
+      await usersCollection.updateOne(
+        { _id: user._id },
+        { $set: { password: await hashPassword(password), updatedAt: new Date() } }
+      );
+      console.log(`🔐 Upgraded password hash for ${user.email}`);
+    }
+
     res.send({
       success: true,
       message: 'Login successful',
@@ -277,7 +738,7 @@ app.post('/login', checkMongoConnection, async (req, res) => {
         name: user.name,
         image: user.photoURL || user.image
       },
-      token: 'user-token-' + user._id
+      ...(await issueSession(user))
     });
   } catch (error) {
     console.error('Error logging in:', error);
@@ -289,8 +750,123 @@ app.post('/login', checkMongoConnection, async (req, res) => {
 });
 
 
+// Exchange a refresh token for a new access token (the refresh token is rotated)
+app.post('/token/refresh', checkMongoConnection, async (req, res) => {
+  try {
+    const { refreshToken } = req.body || {};
+
+    if (!refreshToken) {
+      return res.status(400).send({ 
+        success: false,
+        message: 'Refresh token is required' 
+      });
+    }
+
+    const stored = await refreshTokensCollection.findOneAndUpdate(
+      { tokenHash: hashRefreshToken(refreshToken), revokedAt: null, expiresAt: { $gt: new Date() } },
+      { $set: { revokedAt: new Date() } }
+    );
+
+    if (!stored) {
+      return res.status(401).send({ 
+        success: false,
+        message: 'Invalid or expired refresh token' 
+      });
+    }
+
+    const user = await usersCollection.findOne({ _id: stored.userId });
+
+    if (!user) {
+      return res.status(401).send({ 
+        success: false,
+        message: 'Invalid or expired refresh token' 
+      });
+    }
+
+    res.send({
+      success: true,
+      ...(await issueSession(user))
+    });
+  } catch (error) {
+    console.error('Error refreshing token:', error);
+    res.status(500).send({ 
+      success: false,
+      message: 'Failed to refresh token' 
+    });
+  }
+});
+
+// Revoke a refresh token, or every session of the caller with { all: true }
+app.post('/logout', checkMongoConnection, async (req, res) => {
+  try {
+    const { refreshToken, all } = req.body || {};
+    const claims = verifySessionToken(getBearerToken(req));
+
+    if (all && claims) {
+      const result = await refreshTokensCollection.updateMany(
+        { email: claims.email, revokedAt: null },
+        { $set: { revokedAt: new Date() } }
+      );
+      return res.send({
+        success: true,
+        message: 'Logged out from all sessions',
+        revokedCount: result.modifiedCount
+      });
+    }
+
+    if (!refreshToken) {
+      return res.status(400).send({ 
+        success: false,
+        message: 'Refresh token is required' 
+      });
+    }
+
+    await refreshTokensCollection.updateOne(
+      { tokenHash: hashRefreshToken(refreshToken), revokedAt: null },
+      { $set: { revokedAt: new Date() } }
+    );
+
+    res.send({
+      success: true,
+      message: 'Logged out successfully'
+    });
+  } catch (error) {
+    console.error('Error logging out:', error);
+    res.status(500).send({ 
+      success: false,
+      message: 'Failed to logout' 
+    });
+  }
+});
+
+app.get('/me', checkMongoConnection, verifyAuth, async (req, res) => {
+  try {
+    const user = await usersCollection.findOne(
+      { email: req.user.email },
+      { projection: { password: 0 } }
+    );
+
+    if (!user) {
+      return res.status(404).send({ 
+        success: false,
+        message: 'User not found' 
+      });
+    }
+
+    res.send({
+      success: true,
+      data: user
+    });
+  } catch (error) {
+    console.error('Error fetching current user:', error);
+    res.status(500).send({ 
+      success: false,
+      error: 'Failed to fetch current user' 
+    });
+  }
+});
 
-app.put('/users/:email', checkMongoConnection, async (req, res) => {
+app.put('/users/:email', checkMongoConnection, verifyAuth, verifyEmailOwner, validateBody(schemas.userUpdate, { partial: true }), async (req, res) => {
   try {
     const email = req.params.email;
     const { name, photoURL } = req.body;
@@ -322,17 +898,53 @@ app.put('/users/:email', checkMongoConnection, async (req, res) => {
   }
 });
 
-app.get('/users', checkMongoConnection, async (req, res) => {
+// Listing helper for routes that used to return everything. Cursor mode with
+// ?cursor=, page mode with ?page= or ?limit=, and the full list otherwise.
+// Extra aggregation stages run only on the rows of the page.
+const listPage = async (req, collection, query, { field, direction, projection, stages = [] }) => {
+  const sortStage = { $sort: cursorSort(field, direction) };
+  const tail = [...stages, ...(projection ? [{ $project: projection }] : [])];
+
+  if (isCursorMode(req.query)) {
+    const limit = parseLimit(req.query.limit);
+    const position = decodeCursor(req.query.cursor);
+    const rows = await collection.aggregate([
+      { $match: query },
+      ...(position ? [{ $match: cursorFilter(field, direction, position) }] : []),
+      sortStage,
+      { $limit: limit + 1 },
+      ...tail
+    ]).toArray();
+    return buildCursorPage(rows, limit, field);
+  }
+
+  if (req.query.page !== undefined || req.query.limit !== undefined) {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseLimit(req.query.limit);
+    const [data, total] = await Promise.all([
+      collection.aggregate([{ $match: query }, sortStage, { $skip: (page - 1) * limit }, { $limit: limit }, ...tail]).toArray(),
+      collection.countDocuments(query)
+    ]);
+    return { data, pagination: { total, page, limit, totalPages: Math.ceil(total / limit) } };
+  }
+
+  const data = await collection.aggregate([{ $match: query }, sortStage, ...tail]).toArray();
+  return { data, pagination: null };
+};
+
+app.get('/users', checkMongoConnection, verifyAuth, verifyRole('admin'), validateCursor, async (req, res) => {
   try {
-    const users = await usersCollection
-      .find({})
-      .project({ password: 0 })
-      .toArray();
+    const { data: users, pagination } = await listPage(req, usersCollection, {}, {
+      field: 'createdAt',
+      direction: -1,
+      projection: { password: 0 }
+    });
 
     res.send({
       success: true,
       data: users,
-      count: users.length
+      count: users.length,
+      ...(pagination && { pagination })
     });
   } catch (error) {
     console.error('Error fetching users:', error);
@@ -371,12 +983,22 @@ app.get('/users/:email', checkMongoConnection, async (req, res) => {
   }
 });
 
+// Archived (soft-deleted) products keep their document so existing imports
+// still resolve, but public listings only show products matching this
+const ACTIVE_PRODUCT = { deletedAt: null };
+
+// Archived products are read-only until restored
+const ARCHIVED_PRODUCT_ERROR = 'This product is archived. Restore it before changing it.';
+
+// Active products in the given statuses - what public listings show
+const listedProducts = (statuses = LISTED_STATUSES) => ({ ...ACTIVE_PRODUCT, ...statusQuery(statuses) });
+
 app.get('/products/latest', checkMongoConnection, async (req, res) => {
   try {
-    const limit = parseInt(req.query.limit) || 6;
+    const limit = parseLimit(req.query.limit, 6);
     
     const products = await productsCollection
-      .find({})
+      .find(listedProducts())
       .sort({ createdAt: -1 })
       .limit(limit)
       .toArray();
@@ -391,73 +1013,375 @@ app.get('/products/latest', checkMongoConnection, async (req, res) => {
   }
 });
 
-app.get('/products', checkMongoConnection, async (req, res) => {
-  try {
-    const page = parseInt(req.query.page) || 1;
-    const limit = parseInt(req.query.limit) || 10;
-    const skip = (page - 1) * limit;
-    const search = req.query.search || '';
-    const category = req.query.category || ''; // Category filter
-    const sort = req.query.sort || 'newest';
-    const minPrice = parseFloat(req.query.minPrice);
-    const maxPrice = parseFloat(req.query.maxPrice);
+const escapeRegex = (value) => String(value).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
 
-    console.log('🔍 GET /products query:', { page, limit, search, category, sort, minPrice, maxPrice });
+// In-memory search index over active, non-draft products, rebuilt when products change on
+// this instance or after SEARCH_INDEX_TTL (other instances may have written)
+const SEARCH_INDEX_TTL = 60 * 1000;
+let productSearchIndex = null;
 
-    // Build query
-    const query = {};
-    
-    // Add search filter
-    if (search) {
-      query.$or = [
-        { productName: { $regex: search, $options: 'i' } },
-        { originCountry: { $regex: search, $options: 'i' } }
-      ];
-    }
+const invalidateSearchIndex = () => {
+  productSearchIndex = null;
+};
+
+const getSearchIndex = async () => {
+  if (!productSearchIndex || Date.now() - productSearchIndex.builtAt > SEARCH_INDEX_TTL) {
+    const products = await productsCollection
+      .find(listedProducts(PUBLIC_STATUSES))
+      .project({ productName: 1, originCountry: 1, category: 1, description: 1 })
+      .toArray();
+    productSearchIndex = buildIndex(products);
+    console.log(`🔎 Search index built with ${productSearchIndex.size} products`);
+  }
+  return productSearchIndex;
+};
+
+// Exchange rates: the table an admin saved through PUT /admin/currency-rates,
+// or RATES_FILE (default rates.json) when none is saved. Cached like the
+// search index, since another instance may have saved new rates.
+const RATES_FILE = process.env.RATES_FILE || `${__dirname}/rates.json`;
+const RATES_TTL = 60 * 1000;
+let currencyRates = null;
+
+const invalidateRates = () => {
+  currencyRates = null;
+};
+
+// Returns { table, source }; table is null when no rates are available
+const getRates = async () => {
+  if (!currencyRates || Date.now() - currencyRates.loadedAt > RATES_TTL) {
+    let table = null;
+    let source = 'admin';
+
+    const saved = await currencyRatesCollection.findOne({ _id: 'current' });
+    if (saved) {
+      table = parseRates(saved);
+    } else {
+      source = 'file';
+      try {
+        table = loadRatesFile(RATES_FILE);
+      } catch (error) {
+        console.log(`⚠️  Could not load exchange rates from ${RATES_FILE}:`, error.message);
+      }
+    }
+    currencyRates = { table, source, loadedAt: Date.now() };
+  }
+  return currencyRates;
+};
+
+// ?currency= to convert prices into. Returns { currency, rates } (currency is
+// null when none was asked for) or { error }.
+const parseCurrencyParam = async (value) => {
+  if (!value) return { currency: null, rates: null };
+
+  const currency = String(value).trim().toUpperCase();
+  const { table } = await getRates();
+  if (!CURRENCY_PATTERN.test(currency) || !hasRate(table, currency)) {
+    return { error: `Unsupported currency: ${value}` };
+  }
+  return { currency, rates: table };
+};
+
+// Adds convertedPrice in the requested currency; null when the product's own
+// currency has no rate or its price isn't a number
+const withConvertedPrice = (product, currency, rates) => {
+  let convertedPrice = null;
+  try {
+    convertedPrice = convertAmount(product.price, product.currency || DEFAULT_CURRENCY, currency, rates);
+  } catch (error) {
+    // legacy products with a missing or malformed price
+  }
+  return { ...product, convertedPrice, convertedCurrency: currency };
+};
+
+// Products are priced in different currencies, so price filters, sorts and
+// facets compare referencePrice: the price in DEFAULT_CURRENCY, stored on
+// the product and refreshed when the rates change. null without a rate.
+const referencePrice = (price, currency, rates) => {
+  try {
+    return convertAmount(price, currency || DEFAULT_CURRENCY, DEFAULT_CURRENCY, rates);
+  } catch (error) {
+    return null; // legacy products with a missing or malformed price
+  }
+};
+
+const refreshReferencePrices = async (filter = {}) => {
+  const { table } = await getRates();
+  const products = await productsCollection.find(filter).project({ price: 1, currency: 1 }).toArray();
+  for (const product of products) {
+    await productsCollection.updateOne(
+      { _id: product._id },
+      { $set: { referencePrice: referencePrice(product.price, product.currency, table) } }
+    );
+  }
+  return products.length;
+};
+
+// An amount in `currency` as a reference price, to filter on
+const toReferenceAmount = (amount, currency, rates) => {
+  const converted = convertAmount(amount, currency, DEFAULT_CURRENCY, rates);
+  return converted === null ? amount : converted;
+};
+
+// sort query value -> [field, direction]
+const PRODUCT_SORTS = {
+  newest: ['createdAt', -1],
+  oldest: ['createdAt', 1],
+  price_asc: ['referencePrice', 1],
+  price_desc: ['referencePrice', -1],
+  rating_desc: ['rating', -1],
+  rating_asc: ['rating', 1],
+  popular: ['importCount', -1]
+};
+
+const PRICE_BUCKETS = [0, 10, 50, 100, 500, 1000, 5000];
+
+// PRICE_BUCKETS in the currency prices are shown in, with each boundary as a
+// reference price. Boundaries that convert to the same amount are merged.
+const priceBuckets = (currency, rates) => {
+  const buckets = [];
+  PRICE_BUCKETS.forEach(min => {
+    const boundary = toReferenceAmount(min, currency, rates);
+    if (buckets.length > 0 && boundary <= buckets[buckets.length - 1].boundary) return;
+    buckets.push({ min, boundary });
+  });
+  return buckets;
+};
+
+// ?x=a,b and ?x=a&x=b both become ['a', 'b']
+const toList = (value) => {
+  if (value === undefined || value === null) return [];
+  return (Array.isArray(value) ? value : [value])
+    .flatMap(v => String(v).split(','))
+    .map(v => v.trim())
+    .filter(Boolean);
+};
+
+// ?status= on public listings: any of PUBLIC_STATUSES, LISTED_STATUSES when
+// absent. Returns { statuses } or { error }.
+const parseStatusFilter = (value, allowed = PUBLIC_STATUSES, fallback = LISTED_STATUSES) => {
+  const statuses = toList(value);
+  if (statuses.length === 0) return { statuses: fallback };
+  if (statuses.some(status => !allowed.includes(status))) {
+    return { error: `status must be one of: ${allowed.join(', ')}` };
+  }
+  return { statuses };
+};
+
+const exactMatch = (value) => new RegExp(`^${escapeRegex(value)}$`, 'i');
+
+// Products in any of the categories, named by slug or display name. The
+// display name only matters for products saved before they had a slug.
+const categoryFilter = (categories) => ({
+  $or: [
+    { categorySlug: { $in: categories.map(slugify) } },
+    { category: { $in: categories.map(exactMatch) } }
+  ]
+});
+
+const combineClauses = (clauses) => {
+  const active = clauses.filter(Boolean);
+  if (active.length === 0) return {};
+  return active.length === 1 ? active[0] : { $and: active };
+};
+
+// Facet counts for filter sidebars. Each facet ignores its own filter, so
+// picking one country still shows the counts of the other countries.
+const productFacets = async (baseQuery, facetFilters, buckets) => {
+  const { category, originCountry, price } = facetFilters;
+
+  const [facets] = await productsCollection.aggregate([
+    { $match: baseQuery },
+    {
+      $facet: {
+        countries: [
+          { $match: combineClauses([category, price]) },
+          { $group: { _id: '$originCountry', count: { $sum: 1 } } },
+          { $sort: { count: -1, _id: 1 } }
+        ],
+        categories: [
+          { $match: combineClauses([originCountry, price]) },
+          { $group: { _id: { $ifNull: ['$category', 'Uncategorized'] }, count: { $sum: 1 } } },
+          { $sort: { count: -1, _id: 1 } }
+        ],
+        priceRanges: [
+          { $match: combineClauses([category, originCountry]) },
+          { $bucket: { groupBy: '$referencePrice', boundaries: buckets.map(b => b.boundary), default: 'other', output: { count: { $sum: 1 } } } }
+        ]
+      }
+    }
+  ]).toArray();
+
+  const last = buckets[buckets.length - 1];
+  return {
+    countries: facets.countries.filter(f => f._id).map(f => ({ name: f._id, count: f.count })),
+    categories: facets.categories.map(f => ({ name: f._id, count: f.count })),
+    priceRanges: facets.priceRanges.map(f => {
+      if (f._id === 'other') return { min: last.min, max: null, count: f.count };
+      const index = buckets.findIndex(b => b.boundary === f._id);
+      return { min: buckets[index].min, max: buckets[index + 1].min, count: f.count };
+    })
+  };
+};
+
+app.get('/products', checkMongoConnection, validateCursor, async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseLimit(req.query.limit);
+    const skip = (page - 1) * limit;
+    const cursorMode = isCursorMode(req.query);
+    const search = String(req.query.search || '');
+    // A query made only of stopwords has nothing to search for, so it lists everything
+    const searching = tokenize(search).length > 0;
+    const categories = toList(req.query.category); // Category filter, several allowed
+    const countries = toList(req.query.originCountry);
+    const seller = req.query.seller ? String(req.query.seller) : '';
+    const inStock = req.query.inStock === 'true';
+    // Searches are ranked by relevance unless another sort is asked for
+    const sort = req.query.sort || (searching ? 'relevance' : 'newest');
+    const minPrice = parseFloat(req.query.minPrice);
+    const maxPrice = parseFloat(req.query.maxPrice);
+    const minRating = parseFloat(req.query.minRating);
+    const withFacets = req.query.facets !== 'false';
+    const { statuses, error: statusError } = parseStatusFilter(req.query.status);
+
+    if (statusError) {
+      return res.status(400).send({ 
+        success: false,
+        error: statusError 
+      });
+    }
+
+    // Prices can be shown converted. minPrice, maxPrice and the price facets
+    // are in that currency, and are compared as reference prices.
+    const target = await parseCurrencyParam(req.query.currency);
+    if (target.error) {
+      return res.status(400).send({ 
+        success: false,
+        error: target.error 
+      });
+    }
+    const priceCurrency = target.currency || DEFAULT_CURRENCY;
+    const rates = target.rates || (await getRates()).table;
+
+    console.log('🔍 GET /products query:', { page, limit, search, categories, countries, seller, inStock, statuses, sort, minPrice, maxPrice, minRating });
+
+    // Build query from filters that always apply...
+    const baseClauses = [listedProducts(statuses)];
+    
+    // Add search filter - matches name, country, category and description,
+    // tolerating small typos
+    let scores = null;
+    if (searching) {
+      const results = searchIndex(await getSearchIndex(), search);
+      scores = new Map(results.map(r => [r.id, r.score]));
+      baseClauses.push({ _id: { $in: results.map(r => new ObjectId(r.id)) } });
+    }
+
+    if (!isNaN(minRating)) baseClauses.push({ rating: { $gte: minRating } });
+    if (inStock) baseClauses.push({ availableQuantity: { $gt: 0 } });
+    if (seller) baseClauses.push({ userEmail: seller });
+
+    // ...and from the faceted ones
+    const facetFilters = {};
     
-    // Add category filter
-    if (category) {
-      query.category = { $regex: category, $options: 'i' };
+    // Add category filter - by slug or display name
+    if (categories.length > 0) {
+      facetFilters.category = categoryFilter(categories);
+    }
+
+    if (countries.length > 0) {
+      facetFilters.originCountry = { originCountry: { $in: countries.map(exactMatch) } };
     }
 
     // Add price filter
     if (!isNaN(minPrice) || !isNaN(maxPrice)) {
-      query.price = {};
-      if (!isNaN(minPrice)) query.price.$gte = minPrice;
-      if (!isNaN(maxPrice)) query.price.$lte = maxPrice;
+      facetFilters.price = { referencePrice: {} };
+      if (!isNaN(minPrice)) facetFilters.price.referencePrice.$gte = toReferenceAmount(minPrice, priceCurrency, rates);
+      if (!isNaN(maxPrice)) facetFilters.price.referencePrice.$lte = toReferenceAmount(maxPrice, priceCurrency, rates);
     }
 
-    // Determine sort option
-    let sortOptions = { createdAt: -1 }; // Default: Newest
-    if (sort === 'price_asc') sortOptions = { price: 1 };
-    else if (sort === 'price_desc') sortOptions = { price: -1 };
-    else if (sort === 'oldest') sortOptions = { createdAt: 1 };
+    const baseQuery = combineClauses(baseClauses);
+    const query = combineClauses([...baseClauses, ...Object.values(facetFilters)]);
 
-    const products = await productsCollection
-      .find(query)
-      .sort(sortOptions)
-      .skip(skip)
-      .limit(limit)
-      .toArray();
+    // Determine sort option (Default: Newest). _id breaks ties so pages are stable.
+    const [sortField, sortDirection] = PRODUCT_SORTS[sort] || PRODUCT_SORTS.newest;
+
+    let products, pagination;
+
+    if (scores && sort === 'relevance') {
+      // Order the filtered matches by score, then load just the requested page
+      const matches = await productsCollection.find(query).project({ _id: 1 }).toArray();
+      const ranked = matches
+        .map(m => m._id.toString())
+        .sort((a, b) => scores.get(b) - scores.get(a) || a.localeCompare(b));
+
+      let start = skip;
+      if (cursorMode) {
+        const position = decodeCursor(req.query.cursor);
+        start = !position ? 0 : ranked.findIndex(id => {
+          const score = scores.get(id);
+          return score < position.value || (score === position.value && id > position.id.toString());
+        });
+        if (start === -1) start = ranked.length;
+      }
+      const pageIds = ranked.slice(start, start + limit);
+
+      const docs = await productsCollection
+        .find({ _id: { $in: pageIds.map(id => new ObjectId(id)) } })
+        .toArray();
+      const docsById = new Map(docs.map(d => [d._id.toString(), d]));
+
+      products = pageIds.filter(id => docsById.has(id)).map(id => ({ ...docsById.get(id), score: scores.get(id) }));
+
+      if (cursorMode) {
+        const hasMore = start + limit < ranked.length;
+        const last = products[products.length - 1];
+        pagination = { limit, hasMore, nextCursor: hasMore && last ? encodeCursor(last.score, last._id) : null };
+      } else {
+        pagination = { total: ranked.length, page, limit, totalPages: Math.ceil(ranked.length / limit) };
+      }
+    } else if (cursorMode) {
+      ({ data: products, pagination } = await findCursorPage(productsCollection, query, {
+        field: sortField,
+        direction: sortDirection,
+        limit,
+        cursor: req.query.cursor
+      }));
+    } else {
+      products = await productsCollection
+        .find(query)
+        .sort(cursorSort(sortField, sortDirection))
+        .skip(skip)
+        .limit(limit)
+        .toArray();
+
+      const total = await productsCollection.countDocuments(query);
+      pagination = { total, page, limit, totalPages: Math.ceil(total / limit) };
+    }
 
-    const total = await productsCollection.countDocuments(query);
+    if (target.currency) {
+      products = products.map(p => withConvertedPrice(p, target.currency, target.rates));
+    }
 
     res.send({
       success: true,
       data: products,
-      pagination: {
-        total,
-        page,
-        limit,
-        totalPages: Math.ceil(total / limit)
-      },
+      pagination,
       filters: {
         search,
-        category,
+        category: categories,
+        originCountry: countries,
+        seller,
+        inStock,
+        status: statuses,
+        minRating,
         minPrice,
         maxPrice,
-        sort
-      }
+        sort,
+        currency: target.currency
+      },
+      ...(withFacets && { facets: await productFacets(baseQuery, facetFilters, priceBuckets(priceCurrency, rates)) })
     });
   } catch (error) {
     console.error('Error fetching products:', error);
@@ -468,26 +1392,140 @@ app.get('/products', checkMongoConnection, async (req, res) => {
   }
 });
 
-// Get all categories
+// Autocomplete for the search box: matching terms and top product names
+app.get('/products/suggest', checkMongoConnection, async (req, res) => {
+  try {
+    const q = String(req.query.q || '');
+    const limit = Math.min(parseInt(req.query.limit) || 8, 20);
+
+    if (!q.trim()) {
+      return res.send({ success: true, data: { terms: [], products: [] } });
+    }
+
+    res.send({
+      success: true,
+      data: suggest(await getSearchIndex(), q, { limit })
+    });
+  } catch (error) {
+    console.error('Error fetching suggestions:', error);
+    res.status(500).send({ 
+      success: false,
+      error: 'Failed to fetch suggestions' 
+    });
+  }
+});
+
+// Find a catalog category by slug, or by a display name that slugifies to
+// it ("Home & Garden" finds home-and-garden)
+const resolveCategory = (value) => {
+  return categoriesCollection.findOne({ slug: slugify(value) });
+};
+
+// Validate body.category against the catalog and store both the display
+// name (read by the listing routes) and the slug on the product. null
+// clears both.
+const applyCategory = async (req, res, next) => {
+  try {
+    if (req.body.category === undefined) return next();
+
+    if (req.body.category === null) {
+      req.body.categorySlug = null;
+      return next();
+    }
+
+    const category = await resolveCategory(req.body.category);
+    if (!category) {
+      return sendValidationError(res, [{ field: 'category', message: 'is not a known category' }]);
+    }
+
+    req.body.category = category.name;
+    req.body.categorySlug = category.slug;
+    next();
+  } catch (error) {
+    console.error('❌ Error in applyCategory:', error);
+    res.status(500).send({ 
+      success: false,
+      error: 'Failed to resolve category' 
+    });
+  }
+};
+
+// A product's currency must be the default one or have an exchange rate, so
+// its price can always be converted
+const isSupportedCurrency = (currency, rates) => currency === DEFAULT_CURRENCY || hasRate(rates, currency);
+
+const checkCurrency = async (req, res, next) => {
+  try {
+    if (req.body.currency === undefined) return next();
+
+    const { table } = await getRates();
+    if (!isSupportedCurrency(req.body.currency, table)) {
+      return sendValidationError(res, [{ field: 'currency', message: 'is not a supported currency' }]);
+    }
+    next();
+  } catch (error) {
+    console.error('❌ Error in checkCurrency:', error);
+    res.status(500).send({ 
+      success: false,
+      error: 'Failed to check currency' 
+    });
+  }
+};
+
+// Get all categories as a tree with product counts. Counts include
+// subcategories in totalCount. ?flat=true returns a flat list instead.
 app.get('/categories', checkMongoConnection, async (req, res) => {
   try {
-    const categories = await productsCollection.distinct("category");
-    
-    // Get count for each category
-    const categoriesWithCount = await Promise.all(
-      categories.map(async (category) => {
-        const count = await productsCollection.countDocuments({ category });
-        return {
-          name: category,
-          count: count
-        };
-      })
-    );
+    const [catalog, productCounts] = await Promise.all([
+      categoriesCollection.find({}).sort({ name: 1 }).toArray(),
+      productsCollection.aggregate([
+        { $match: listedProducts() },
+        { $group: { _id: { slug: '$categorySlug', name: '$category' }, count: { $sum: 1 } } }
+      ]).toArray()
+    ]);
+
+    // Older products only carry the category name, so fall back to it
+    const countsBySlug = {};
+    let uncategorized = 0;
+    productCounts.forEach(({ _id, count }) => {
+      const slug = _id.slug || (_id.name ? slugify(_id.name) : null);
+      if (!slug) {
+        uncategorized += count;
+        return;
+      }
+      countsBySlug[slug] = (countsBySlug[slug] || 0) + count;
+    });
+
+    const nodes = {};
+    catalog.forEach(c => {
+      nodes[c.slug] = {
+        slug: c.slug,
+        name: c.name,
+        parent: c.parent || null,
+        count: countsBySlug[c.slug] || 0,
+        totalCount: 0,
+        children: []
+      };
+    });
+
+    const roots = [];
+    Object.values(nodes).forEach(node => {
+      if (node.parent && nodes[node.parent]) nodes[node.parent].children.push(node);
+      else roots.push(node);
+    });
+
+    const sumCounts = (node) => {
+      node.totalCount = node.count + node.children.reduce((sum, child) => sum + sumCounts(child), 0);
+      return node.totalCount;
+    };
+    roots.forEach(sumCounts);
 
+    const flat = req.query.flat === 'true';
     res.send({
       success: true,
-      data: categoriesWithCount.filter(cat => cat.name), // Remove null/undefined
-      total: categoriesWithCount.length
+      data: flat ? Object.values(nodes).map(({ children, ...node }) => node) : roots,
+      uncategorized,
+      total: catalog.length
     });
   } catch (error) {
     console.error('Error fetching categories:', error);
@@ -499,486 +1537,3251 @@ app.get('/categories', checkMongoConnection, async (req, res) => {
 });
 
 // Get products by category
-app.get('/products/category/:categoryName', checkMongoConnection, async (req, res) => {
+app.get('/products/category/:categoryName', checkMongoConnection, validateCursor, async (req, res) => {
   try {
     const categoryName = req.params.categoryName;
     const page = parseInt(req.query.page) || 1;
-    const limit = parseInt(req.query.limit) || 10;
+    const limit = parseLimit(req.query.limit);
     const skip = (page - 1) * limit;
+    const { statuses, error: statusError } = parseStatusFilter(req.query.status);
+
+    if (statusError) {
+      return res.status(400).send({ 
+        success: false,
+        error: statusError 
+      });
+    }
+
+    const query = { ...listedProducts(statuses), ...categoryFilter([categoryName]) };
 
     console.log('📂 Fetching products for category:', categoryName);
 
-    const products = await productsCollection
-      .find({ category: { $regex: categoryName, $options: 'i' } })
-      .sort({ createdAt: -1 })
-      .skip(skip)
-      .limit(limit)
-      .toArray();
+    let products, pagination;
 
-    const total = await productsCollection.countDocuments({ 
-      category: { $regex: categoryName, $options: 'i' } 
-    });
+    if (isCursorMode(req.query)) {
+      ({ data: products, pagination } = await findCursorPage(productsCollection, query, {
+        field: 'createdAt',
+        direction: -1,
+        limit,
+        cursor: req.query.cursor
+      }));
+    } else {
+      products = await productsCollection
+        .find(query)
+        .sort(cursorSort('createdAt', -1))
+        .skip(skip)
+        .limit(limit)
+        .toArray();
+
+      const total = await productsCollection.countDocuments(query);
+      pagination = { total, page, limit, totalPages: Math.ceil(total / limit) };
+    }
 
     console.log(`✅ Found ${products.length} products in category: ${categoryName}`);
 
     res.send({
       success: true,
-      category: categoryName,
-      data: products,
-      pagination: {
-        total,
-        page,
-        limit,
-        totalPages: Math.ceil(total / limit)
-      }
+      category: categoryName,
+      data: products,
+      pagination
+    });
+  } catch (error) {
+    console.error('Error fetching products by category:', error);
+    res.status(500).send({ 
+      success: false,
+      error: 'Failed to fetch products by category' 
+    });
+  }
+});
+
+app.get('/products/:id', checkMongoConnection, optionalAuth, async (req, res) => {
+  try {
+    const id = req.params.id;
+    console.log('📦 Fetching product with ID:', id);
+    
+    if (!ObjectId.isValid(id)) {
+      console.log('❌ Invalid ObjectId format:', id);
+      return res.status(400).send({ 
+        success: false,
+        error: 'Invalid product ID' 
+      });
+    }
+
+    const product = await productsCollection.findOne({ _id: new ObjectId(id) });
+
+    // Drafts are only visible to their owner (and staff)
+    const hidden = product && product.status === 'draft'
+      && !isOwner(req, product.userEmail) && !hasRole(req, 'admin', 'moderator');
+
+    if (!product || hidden) {
+      console.log('❌ Product not found with ID:', id);
+      return res.status(404).send({ 
+        success: false,
+        error: 'Product not found' 
+      });
+    }
+
+    const target = await parseCurrencyParam(req.query.currency);
+    if (target.error) {
+      return res.status(400).send({ 
+        success: false,
+        error: target.error 
+      });
+    }
+
+    console.log('✅ Product found:', product.productName);
+    res.send({
+      success: true,
+      data: target.currency ? withConvertedPrice(product, target.currency, target.rates) : product
+    });
+  } catch (error) {
+    console.error('Error fetching product:', error);
+    res.status(500).send({ 
+      success: false,
+      error: 'Failed to fetch product' 
+    });
+  }
+});
+
+app.post('/products', checkMongoConnection, verifyAuth, validateBody(schemas.product), applyCategory, checkCurrency, async (req, res) => {
+  try {
+    const { 
+      productName, 
+      productImage, 
+      price, 
+      currency,
+      originCountry, 
+      availableQuantity,
+      description,
+      category,
+      categorySlug,
+      userName,
+      status
+    } = req.body;
+    const userEmail = req.user.email;
+    const { table: rates } = await getRates();
+
+    const product = {
+      productName,
+      productImage,
+      price,
+      currency: currency || DEFAULT_CURRENCY,
+      referencePrice: referencePrice(price, currency, rates),
+      originCountry,
+      availableQuantity,
+      status: statusForStock(status, availableQuantity),
+      rating: 0, // maintained from reviews
+      reviewCount: 0,
+      ...(description && { description }),
+      ...(category && { category, categorySlug }),
+      userEmail,
+      userName: userName || 'Anonymous',
+      createdAt: new Date(),
+      updatedAt: new Date()
+    };
+
+    const result = await productsCollection.insertOne(product);
+    invalidateSearchIndex();
+
+    await queueWebhookEvent('product.created', [userEmail], { product });
+
+    res.status(201).send({
+      success: true,
+      message: 'Product added successfully',
+      data: { ...product, _id: result.insertedId }
+    });
+  } catch (error) {
+    console.error('Error creating product:', error);
+    res.status(500).send({ 
+      success: false,
+      error: 'Failed to create product' 
+    });
+  }
+});
+
+// Per-product sales of a seller: their products joined with the orders placed
+// against them. Products without sales are included with zero totals.
+const sellerSalesPipeline = (email) => [
+  { $match: { userEmail: email } },
+  {
+    $lookup: {
+      from: 'orders',
+      let: { productId: { $toString: '$_id' } },
+      pipeline: [
+        { $match: { $expr: { $eq: ['$productId', '$$productId'] } } },
+        { $project: { quantity: 1, amount: 1, buyerEmail: 1, type: 1 } }
+      ],
+      as: 'orders'
+    }
+  },
+  {
+    $project: {
+      productName: 1,
+      productImage: 1,
+      price: 1,
+      currency: { $ifNull: ['$currency', DEFAULT_CURRENCY] },
+      remainingStock: '$availableQuantity',
+      unitsSold: { $sum: '$orders.quantity' },
+      // Summed as decimals so many small amounts don't drift
+      revenue: { $toDouble: { $sum: { $map: { input: '$orders', in: { $toDecimal: '$$this.amount' } } } } },
+      orderCount: {
+        $size: { $filter: { input: '$orders', cond: { $eq: ['$$this.type', 'purchase'] } } }
+      },
+      distinctBuyers: {
+        $size: {
+          $setUnion: [{
+            $map: {
+              input: { $filter: { input: '$orders', cond: { $eq: ['$$this.type', 'purchase'] } } },
+              in: '$$this.buyerEmail'
+            }
+          }]
+        }
+      }
+    }
+  }
+];
+
+// { CODE: decimal string } -> { CODE: amount rounded to the currency's minor unit }
+const roundTotals = (totals) => Object.fromEntries(
+  Object.entries(totals).map(([code, amount]) => [code, fromMinor(toMinor(amount, code), code)])
+);
+
+// Units sold and revenue per order currency ({ CODE: decimal string }) of
+// the given products, from the orders ledger
+const salesTotals = async (productIds) => {
+  const totals = await ordersCollection.aggregate([
+    { $match: { productId: { $in: productIds } } },
+    {
+      $group: {
+        _id: { $ifNull: ['$currency', DEFAULT_CURRENCY] },
+        quantity: { $sum: '$quantity' },
+        amount: { $sum: { $toDecimal: '$amount' } }
+      }
+    }
+  ]).toArray();
+
+  return {
+    unitsSold: totals.reduce((sum, t) => sum + t.quantity, 0),
+    revenueByCurrency: Object.fromEntries(totals.map(t => [t._id, t.amount.toString()]))
+  };
+};
+
+app.get('/exports/:email/analytics', checkMongoConnection, verifyAuth, verifyEmailOwner, async (req, res) => {
+  try {
+    const email = req.params.email;
+    const sortBy = req.query.sortBy === 'units' ? 'unitsSold' : 'revenue';
+    const top = Math.min(Math.max(parseInt(req.query.top) || 5, 1), 50);
+
+    // Revenue is totalled per currency and converted into ?currency=
+    const target = await parseCurrencyParam(req.query.currency);
+    if (target.error) {
+      return res.status(400).send({ 
+        success: false,
+        error: target.error 
+      });
+    }
+    const currency = target.currency || DEFAULT_CURRENCY;
+    const rates = target.rates || (await getRates()).table;
+
+    // Revenue is ranked converted into ?currency=, since each product's is in
+    // its own currency. Products whose currency has no rate rank last.
+    const products = await productsCollection.aggregate(sellerSalesPipeline(email)).toArray();
+    products.forEach(p => {
+      p.convertedRevenue = convertAmount(p.revenue, p.currency, currency, rates);
+    });
+
+    const rankValue = (p) => (sortBy === 'unitsSold' ? p.unitsSold : p.convertedRevenue ?? -Infinity);
+    products.sort((a, b) => rankValue(b) - rankValue(a) || a._id.toString().localeCompare(b._id.toString()));
+    products.forEach((p, index) => { p.rank = index + 1; });
+
+    const productIds = products.map(p => p._id.toString());
+    const { unitsSold, revenueByCurrency } = await salesTotals(productIds);
+    const revenue = convertTotals(revenueByCurrency, currency, rates);
+
+    // Distinct across all products, not the sum of per-product counts
+    const buyers = await ordersCollection.distinct('buyerEmail', {
+      productId: { $in: productIds },
+      type: 'purchase'
+    });
+
+    res.send({
+      success: true,
+      data: products,
+      topSellers: products.filter(p => p.unitsSold > 0).slice(0, top),
+      totals: {
+        unitsSold,
+        revenue: revenue.total,
+        currency,
+        revenueByCurrency: roundTotals(revenueByCurrency),
+        unconvertedCurrencies: revenue.missing,
+        remainingStock: products.reduce((sum, p) => sum + (p.remainingStock || 0), 0),
+        distinctBuyers: buyers.length
+      },
+      sortBy
+    });
+  } catch (error) {
+    console.error('Error fetching export analytics:', error);
+    res.status(500).send({ 
+      success: false,
+      error: 'Failed to fetch export analytics' 
+    });
+  }
+});
+
+// Columns of the bulk CSV format, shared by upload and download
+const PRODUCT_COLUMNS = ['productName', 'productImage', 'price', 'currency', 'originCountry', 'availableQuantity', 'category', 'description'];
+const MAX_BULK_ROWS = 1000;
+
+// Create many products from a JSON array ({ products: [...] } or a bare array)
+// or a CSV body. Each row is validated on its own; invalid rows are reported
+// and skipped. ?dryRun=true validates without inserting.
+app.post('/products/bulk', checkMongoConnection, verifyAuth, async (req, res) => {
+  try {
+    const dryRun = req.query.dryRun === 'true' || (req.body && req.body.dryRun === true);
+
+    let rows;
+    if (typeof req.body === 'string') {
+      rows = parseCsv(req.body);
+    } else if (Array.isArray(req.body)) {
+      rows = req.body;
+    } else if (req.body && Array.isArray(req.body.products)) {
+      rows = req.body.products;
+    }
+
+    if (!rows) {
+      return res.status(400).send({ 
+        success: false,
+        error: 'Send a JSON array of products or a text/csv body' 
+      });
+    }
+
+    if (rows.length === 0 || rows.length > MAX_BULK_ROWS) {
+      return res.status(400).send({ 
+        success: false,
+        error: `Between 1 and ${MAX_BULK_ROWS} rows are allowed per request` 
+      });
+    }
+
+    const catalog = await categoriesCollection.find({}).toArray();
+    const categoriesBySlug = new Map(catalog.map(c => [c.slug, c]));
+    const { table: rates } = await getRates();
+
+    const products = [];
+    const rowErrors = [];
+
+    rows.forEach((row, index) => {
+      const { value, errors } = validate(schemas.product, row);
+
+      if (value.category === null) {
+        value.categorySlug = null;
+      } else if (value.category !== undefined) {
+        const category = categoriesBySlug.get(slugify(value.category));
+        if (category) {
+          value.category = category.name;
+          value.categorySlug = category.slug;
+        } else {
+          errors.push({ field: 'category', message: 'is not a known category' });
+        }
+      }
+
+      if (value.currency !== undefined && !isSupportedCurrency(value.currency, rates)) {
+        errors.push({ field: 'currency', message: 'is not a supported currency' });
+      }
+
+      if (errors.length > 0) {
+        // Rows are numbered from 1 like a spreadsheet, CSV header excluded
+        rowErrors.push({ row: index + 1, errors });
+        return;
+      }
+
+      products.push({
+        ...value,
+        currency: value.currency || DEFAULT_CURRENCY,
+        referencePrice: referencePrice(value.price, value.currency, rates),
+        status: statusForStock(value.status, value.availableQuantity),
+        rating: 0,
+        reviewCount: 0,
+        userEmail: req.user.email,
+        userName: value.userName || 'Anonymous',
+        createdAt: new Date(),
+        updatedAt: new Date()
+      });
+    });
+
+    let insertedIds = [];
+    if (!dryRun && products.length > 0) {
+      const result = await productsCollection.insertMany(products, { ordered: false });
+      insertedIds = Object.values(result.insertedIds);
+      invalidateSearchIndex();
+      console.log(`📦 Bulk created ${insertedIds.length} products for ${req.user.email}`);
+
+      // insertMany sets _id on the documents it inserted
+      await queueWebhookEvent('product.created', [req.user.email], products.filter(p => p._id).map(product => ({ product })));
+    }
+
+    const status = dryRun ? 200 : products.length > 0 ? 201 : 400;
+    res.status(status).send({
+      success: products.length > 0,
+      dryRun,
+      total: rows.length,
+      valid: products.length,
+      inserted: insertedIds.length,
+      insertedIds,
+      errors: rowErrors
+    });
+  } catch (error) {
+    console.error('Error bulk creating products:', error);
+    res.status(500).send({ 
+      success: false,
+      error: 'Failed to create products' 
+    });
+  }
+});
+
+// Stream the seller's catalog in the bulk upload format
+app.get('/exports/:email/download', checkMongoConnection, verifyAuth, verifyEmailOwner, async (req, res) => {
+  try {
+    const email = req.params.email;
+    const format = req.query.format || 'csv';
+
+    if (format !== 'csv' && format !== 'json') {
+      return res.status(400).send({ 
+        success: false,
+        error: 'format must be csv or json' 
+      });
+    }
+
+    const cursor = productsCollection
+      .find({ userEmail: email, ...ACTIVE_PRODUCT })
+      .project({ _id: 1, ...Object.fromEntries(PRODUCT_COLUMNS.map(c => [c, 1])) })
+      .sort({ createdAt: -1, _id: -1 });
+
+    const filename = `products-${new Date().toISOString().slice(0, 10)}.${format}`;
+    res.setHeader('Content-Type', format === 'csv' ? 'text/csv; charset=utf-8' : 'application/json; charset=utf-8');
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+
+    const write = async (chunk) => {
+      if (!res.write(chunk)) await once(res, 'drain');
+    };
+
+    let first = true;
+    await write(format === 'csv' ? toCsvRow(['_id', ...PRODUCT_COLUMNS]) : '[');
+
+    for await (const product of cursor) {
+      if (format === 'csv') {
+        await write(toCsvRow([product._id, ...PRODUCT_COLUMNS.map(c => product[c])]));
+      } else {
+        await write((first ? '\n' : ',\n') + JSON.stringify(product));
+      }
+      first = false;
+    }
+
+    if (format === 'json') await write(first ? ']' : '\n]');
+    res.end();
+  } catch (error) {
+    console.error('Error downloading exports:', error);
+    if (res.headersSent) return res.destroy(error);
+    res.status(500).send({ 
+      success: false,
+      error: 'Failed to download products' 
+    });
+  }
+});
+
+app.get('/exports/:email', checkMongoConnection, verifyAuth, verifyEmailOwner, validateCursor, async (req, res) => {
+  try {
+    const email = req.params.email;
+    
+    // ?archived=true lists the seller's archived products instead
+    // and ?status= narrows it to some lifecycle statuses, drafts included
+    const archived = req.query.archived === 'true';
+    const { statuses, error: statusError } = parseStatusFilter(req.query.status, STATUSES, null);
+
+    if (statusError) {
+      return res.status(400).send({ 
+        success: false,
+        error: statusError 
+      });
+    }
+
+    const query = {
+      userEmail: email,
+      deletedAt: archived ? { $ne: null } : null,
+      ...(statuses && statusQuery(statuses))
+    };
+
+    const { data: products, pagination } = await listPage(req, productsCollection, query, {
+      field: 'createdAt',
+      direction: -1
+    });
+
+    res.send({
+      success: true,
+      data: products,
+      count: products.length,
+      ...(pagination && { pagination })
+    });
+  } catch (error) {
+    console.error('Error fetching user products:', error);
+    res.status(500).send({ 
+      success: false,
+      error: 'Failed to fetch user products' 
+    });
+  }
+});
+
+// Tell the buyers holding a product, and its seller when someone else
+// (staff) made the change, that the product changed. The actor is skipped.
+// Runs in the background: the change is already saved, so a failure here is
+// logged and never fails or holds up the response.
+const notifyProductChange = (product, req, { type, title, message }) => {
+  const actor = req.user.email;
+
+  importsCollection.distinct('userEmail', { productId: product._id.toString() })
+    .then(buyers => {
+      const recipients = new Set([...buyers, product.userEmail]);
+      recipients.delete(actor);
+
+      return notifyAll([...recipients].map(userEmail => ({
+        userEmail,
+        type,
+        title,
+        message,
+        data: { productId: product._id.toString() }
+      })));
+    })
+    .catch(error => console.error(`❌ Failed to send ${type} notifications:`, error));
+};
+
+app.put('/products/:id', checkMongoConnection, verifyAuth, validateBody(schemas.product, { partial: true }), applyCategory, checkCurrency, async (req, res) => {
+  try {
+    const id = req.params.id;
+    
+    if (!ObjectId.isValid(id)) {
+      return res.status(400).send({ 
+        success: false,
+        error: 'Invalid product ID' 
+      });
+    }
+
+    const existingProduct = await productsCollection.findOne({ _id: new ObjectId(id) });
+
+    if (!existingProduct) {
+      return res.status(404).send({ 
+        success: false,
+        error: 'Product not found' 
+      });
+    }
+
+    if (!isOwner(req, existingProduct.userEmail) && !hasRole(req, 'admin', 'moderator')) {
+      return res.status(403).send({ 
+        success: false,
+        error: 'You can only update your own products' 
+      });
+    }
+
+    if (existingProduct.deletedAt) {
+      return res.status(409).send({ 
+        success: false,
+        error: ARCHIVED_PRODUCT_ERROR 
+      });
+    }
+
+    // The body is already validated - every field present is applied, including 0
+    const { userName, ...changes } = req.body;
+
+    if (changes.status !== undefined && !canTransition(existingProduct.status, changes.status)) {
+      const from = baseStatus(existingProduct.status);
+      return res.status(409).send({ 
+        success: false,
+        error: `Cannot change status from ${from} to ${changes.status}`,
+        allowed: TRANSITIONS[from]
+      });
+    }
+
+    // Orders are priced in the product's currency, so it is fixed once the
+    // ledger has any, even if the imports were all returned since
+    const currentCurrency = existingProduct.currency || DEFAULT_CURRENCY;
+    if (changes.currency !== undefined && changes.currency !== currentCurrency
+      && await ordersCollection.countDocuments({ productId: id }, { limit: 1 })) {
+      return res.status(409).send({ 
+        success: false,
+        error: `Cannot change the currency of a product that has orders (it is priced in ${currentCurrency})`
+      });
+    }
+
+    // Keep the reference price in step with the price and currency
+    const repriced = {};
+    if (changes.price !== undefined || changes.currency !== undefined) {
+      repriced.referencePrice = referencePrice(
+        changes.price !== undefined ? changes.price : existingProduct.price,
+        changes.currency !== undefined ? changes.currency : existingProduct.currency,
+        (await getRates()).table
+      );
+    }
+
+    // A new status or stock level may mean published <-> out_of_stock
+    if (changes.status !== undefined || changes.availableQuantity !== undefined) {
+      changes.status = statusForStock(
+        changes.status !== undefined ? changes.status : existingProduct.status,
+        changes.availableQuantity !== undefined ? changes.availableQuantity : existingProduct.availableQuantity
+      );
+    }
+
+    const updateDoc = {
+      $set: {
+        ...changes,
+        ...repriced,
+        updatedAt: new Date()
+      }
+    };
+
+    // Not archived in the meantime
+    const result = await productsCollection.updateOne(
+      { _id: new ObjectId(id), deletedAt: null },
+      updateDoc
+    );
+    invalidateSearchIndex();
+
+    if (result.matchedCount === 0) {
+      return res.status(404).send({ 
+        success: false,
+        error: 'Product not found' 
+      });
+    }
+
+    emitIfRestocked(existingProduct.availableQuantity, { ...existingProduct, ...changes });
+
+    await queueWebhookEvent('product.updated', [existingProduct.userEmail], {
+      product: { ...existingProduct, ...updateDoc.$set },
+      changes: Object.keys(changes)
+    });
+
+    notifyProductChange(existingProduct, req, {
+      type: 'product.updated',
+      title: `${existingProduct.productName} was updated`,
+      message: `Changed: ${Object.keys(changes).join(', ') || 'nothing'}.`
+    });
+
+    res.send({
+      success: true,
+      message: 'Product updated successfully',
+      modifiedCount: result.modifiedCount
+    });
+  } catch (error) {
+    console.error('Error updating product:', error);
+    res.status(500).send({ 
+      success: false,
+      error: 'Failed to update product' 
+    });
+  }
+});
+
+// ---------------------------------------------------------------------------
+// Product images
+// ---------------------------------------------------------------------------
+
+const MAX_IMAGE_SIZE = 5 * 1024 * 1024;
+const MAX_IMAGES_PER_PRODUCT = 10;
+const THUMBNAIL_SIZE = 320;
+const IMAGE_TYPES = {
+  'image/jpeg': 'jpeg',
+  'image/png': 'png',
+  'image/webp': 'webp',
+  'image/gif': 'gif'
+};
+const IMAGE_EXTENSIONS = { jpeg: 'jpg', png: 'png', webp: 'webp', gif: 'gif' };
+
+const imageUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: MAX_IMAGE_SIZE, files: MAX_IMAGES_PER_PRODUCT },
+  fileFilter: (req, file, cb) => {
+    if (!IMAGE_TYPES[file.mimetype]) {
+      return cb(new multer.MulterError('LIMIT_UNEXPECTED_FILE', file.fieldname));
+    }
+    cb(null, true);
+  }
+}).array('images', MAX_IMAGES_PER_PRODUCT);
+
+// Run multer and turn its errors into our 400/413 responses
+const parseImageUpload = (req, res, next) => {
+  imageUpload(req, res, (error) => {
+    if (!error) return next();
+
+    if (error instanceof multer.MulterError) {
+      const messages = {
+        LIMIT_FILE_SIZE: `Images must be at most ${MAX_IMAGE_SIZE / 1024 / 1024} MB`,
+        LIMIT_FILE_COUNT: `At most ${MAX_IMAGES_PER_PRODUCT} images per upload`,
+        LIMIT_UNEXPECTED_FILE: `Only ${Object.keys(IMAGE_TYPES).join(', ')} files in the "images" field are accepted`
+      };
+      return res.status(error.code === 'LIMIT_FILE_SIZE' ? 413 : 400).send({ 
+        success: false,
+        error: messages[error.code] || error.message 
+      });
+    }
+
+    next(error);
+  });
+};
+
+// Load a product the caller may manage, or send the error response
+const findManagedProduct = async (req, res) => {
+  const id = req.params.id;
+
+  if (!ObjectId.isValid(id)) {
+    res.status(400).send({ 
+      success: false,
+      error: 'Invalid product ID' 
+    });
+    return null;
+  }
+
+  const product = await productsCollection.findOne({ _id: new ObjectId(id) });
+
+  if (!product) {
+    res.status(404).send({ 
+      success: false,
+      error: 'Product not found' 
+    });
+    return null;
+  }
+
+  if (!isOwner(req, product.userEmail) && !hasRole(req, 'admin', 'moderator')) {
+    res.status(403).send({ 
+      success: false,
+      error: 'You can only change your own products' 
+    });
+    return null;
+  }
+
+  if (product.deletedAt) {
+    res.status(409).send({ 
+      success: false,
+      error: ARCHIVED_PRODUCT_ERROR 
+    });
+    return null;
+  }
+
+  return product;
+};
+
+// Upload one or more images (multipart field "images"). The first image of a
+// product becomes its primary image, which is mirrored into productImage.
+app.post('/products/:id/images', checkMongoConnection, verifyAuth, parseImageUpload, async (req, res) => {
+  try {
+    const product = await findManagedProduct(req, res);
+    if (!product) return;
+
+    const files = req.files || [];
+    const existing = product.images || [];
+
+    if (files.length === 0) {
+      return res.status(400).send({ 
+        success: false,
+        error: 'No images uploaded' 
+      });
+    }
+
+    if (existing.length + files.length > MAX_IMAGES_PER_PRODUCT) {
+      return res.status(400).send({ 
+        success: false,
+        error: `A product can have at most ${MAX_IMAGES_PER_PRODUCT} images` 
+      });
+    }
+
+    // Check the actual file contents, not just the declared MIME type
+    const prepared = [];
+    for (const file of files) {
+      let metadata;
+      try {
+        metadata = await sharp(file.buffer).metadata();
+      } catch (error) {
+        metadata = null;
+      }
+
+      if (!metadata || metadata.format !== IMAGE_TYPES[file.mimetype]) {
+        return res.status(400).send({ 
+          success: false,
+          error: `${file.originalname} is not a valid ${file.mimetype} image` 
+        });
+      }
+
+      prepared.push({ file, metadata });
+    }
+
+    const uploaded = [];
+    try {
+      for (const { file, metadata } of prepared) {
+        const imageId = new ObjectId();
+        const key = `products/${product._id}/${imageId}.${IMAGE_EXTENSIONS[metadata.format]}`;
+        const thumbnailKey = `products/${product._id}/${imageId}_thumb.webp`;
+
+        const thumbnail = await sharp(file.buffer)
+          .rotate()
+          .resize(THUMBNAIL_SIZE, THUMBNAIL_SIZE, { fit: 'inside', withoutEnlargement: true })
+          .webp()
+          .toBuffer();
+
+        const url = await imageStorage.put(key, file.buffer, file.mimetype);
+        const thumbnailUrl = await imageStorage.put(thumbnailKey, thumbnail, 'image/webp');
+
+        uploaded.push({
+          _id: imageId,
+          url,
+          thumbnailUrl,
+          key,
+          thumbnailKey,
+          contentType: file.mimetype,
+          size: file.size,
+          width: metadata.width,
+          height: metadata.height,
+          primary: false,
+          createdAt: new Date()
+        });
+      }
+    } catch (error) {
+      // Don't leave orphaned files behind
+      await Promise.all(uploaded.flatMap(img => [imageStorage.remove(img.key), imageStorage.remove(img.thumbnailKey)]))
+        .catch(() => {});
+      throw error;
+    }
+
+    const hasPrimary = existing.some(img => img.primary);
+    if (!hasPrimary) uploaded[0].primary = true;
+
+    await productsCollection.updateOne(
+      { _id: product._id },
+      {
+        $push: { images: { $each: uploaded } },
+        $set: {
+          ...(!hasPrimary && { productImage: uploaded[0].url }),
+          updatedAt: new Date()
+        }
+      }
+    );
+
+    res.status(201).send({
+      success: true,
+      message: 'Images uploaded successfully',
+      data: uploaded
+    });
+  } catch (error) {
+    console.error('Error uploading product images:', error);
+    res.status(500).send({ 
+      success: false,
+      error: 'Failed to upload images' 
+    });
+  }
+});
+
+app.patch('/products/:id/images/:imageId/primary', checkMongoConnection, verifyAuth, async (req, res) => {
+  try {
+    const product = await findManagedProduct(req, res);
+    if (!product) return;
+
+    const image = (product.images || []).find(img => img._id.toString() === req.params.imageId);
+
+    if (!image) {
+      return res.status(404).send({ 
+        success: false,
+        error: 'Image not found' 
+      });
+    }
+
+    await productsCollection.updateOne(
+      { _id: product._id },
+      {
+        $set: {
+          'images.$[].primary': false,
+          productImage: image.url,
+          updatedAt: new Date()
+        }
+      }
+    );
+    await productsCollection.updateOne(
+      { _id: product._id, 'images._id': image._id },
+      { $set: { 'images.$.primary': true } }
+    );
+
+    res.send({
+      success: true,
+      message: 'Primary image updated successfully'
+    });
+  } catch (error) {
+    console.error('Error setting primary image:', error);
+    res.status(500).send({ 
+      success: false,
+      error: 'Failed to set primary image' 
+    });
+  }
+});
+
+app.delete('/products/:id/images/:imageId', checkMongoConnection, verifyAuth, async (req, res) => {
+  try {
+    const product = await findManagedProduct(req, res);
+    if (!product) return;
+
+    const images = product.images || [];
+    const image = images.find(img => img._id.toString() === req.params.imageId);
+
+    if (!image) {
+      return res.status(404).send({ 
+        success: false,
+        error: 'Image not found' 
+      });
+    }
+
+    // Promote the next image when the primary one goes away
+    const remaining = images.filter(img => img !== image);
+    const nextPrimary = image.primary ? remaining[0] : null;
+
+    await productsCollection.updateOne(
+      { _id: product._id },
+      {
+        $pull: { images: { _id: image._id } },
+        $set: {
+          ...(image.primary && { productImage: nextPrimary ? nextPrimary.url : null }),
+          updatedAt: new Date()
+        }
+      }
+    );
+    if (nextPrimary) {
+      await productsCollection.updateOne(
+        { _id: product._id, 'images._id': nextPrimary._id },
+        { $set: { 'images.$.primary': true } }
+      );
+    }
+
+    await Promise.all([imageStorage.remove(image.key), imageStorage.remove(image.thumbnailKey)])
+      .catch(error => console.error('❌ Failed to remove image files:', error));
+
+    res.send({
+      success: true,
+      message: 'Image deleted successfully'
+    });
+  } catch (error) {
+    console.error('Error deleting product image:', error);
+    res.status(500).send({ 
+      success: false,
+      error: 'Failed to delete image' 
+    });
+  }
+});
+
+app.delete('/products/:id', checkMongoConnection, verifyAuth, async (req, res) => {
+  try {
+    const id = req.params.id;
+    
+    if (!ObjectId.isValid(id)) {
+      return res.status(400).send({ 
+        success: false,
+        error: 'Invalid product ID' 
+      });
+    }
+
+    const existingProduct = await productsCollection.findOne({ _id: new ObjectId(id) });
+
+    if (!existingProduct) {
+      return res.status(404).send({ 
+        success: false,
+        error: 'Product not found' 
+      });
+    }
+
+    if (!isOwner(req, existingProduct.userEmail) && !hasRole(req, 'admin', 'moderator')) {
+      return res.status(403).send({ 
+        success: false,
+        error: 'You can only delete your own products' 
+      });
+    }
+
+    // Soft delete: the product leaves the listings but imports that
+    // reference it keep resolving until an admin purge removes it
+    const product = await productsCollection.findOneAndUpdate(
+      { _id: new ObjectId(id), deletedAt: null },
+      { $set: { archived: true, deletedAt: new Date(), deletedBy: req.user.email, updatedAt: new Date() } },
+      { returnDocument: 'after' }
+    );
+    invalidateSearchIndex();
+
+    if (!product) {
+      return res.status(409).send({ 
+        success: false,
+        error: 'Product is already archived' 
+      });
+    }
+
+    console.log(`✅ Product ${id} archived by ${req.user.email}`);
+
+    await queueWebhookEvent('product.deleted', [product.userEmail], { product, archived: true });
+
+    notifyProductChange(existingProduct, req, {
+      type: 'product.deleted',
+      title: `${existingProduct.productName} was removed`,
+      message: 'The product is no longer listed. Your imports of it are kept.'
+    });
+    res.send({
+      success: true,
+      message: 'Product archived successfully',
+      data: product
+    });
+  } catch (error) {
+    console.error('Error deleting product:', error);
+    res.status(500).send({ 
+      success: false,
+      error: 'Failed to delete product' 
+    });
+  }
+});
+
+app.post('/products/:id/restore', checkMongoConnection, verifyAuth, async (req, res) => {
+  try {
+    const id = req.params.id;
+    
+    if (!ObjectId.isValid(id)) {
+      return res.status(400).send({ 
+        success: false,
+        error: 'Invalid product ID' 
+      });
+    }
+
+    const existingProduct = await productsCollection.findOne({ _id: new ObjectId(id) });
+
+    if (!existingProduct) {
+      return res.status(404).send({ 
+        success: false,
+        error: 'Product not found' 
+      });
+    }
+
+    if (!isOwner(req, existingProduct.userEmail) && !hasRole(req, 'admin', 'moderator')) {
+      return res.status(403).send({ 
+        success: false,
+        error: 'You can only restore your own products' 
+      });
+    }
+
+    const product = await productsCollection.findOneAndUpdate(
+      { _id: new ObjectId(id), deletedAt: { $ne: null } },
+      {
+        $set: { updatedAt: new Date() },
+        $unset: { archived: '', deletedAt: '', deletedBy: '' }
+      },
+      { returnDocument: 'after' }
+    );
+    invalidateSearchIndex();
+
+    if (!product) {
+      return res.status(409).send({ 
+        success: false,
+        error: 'Product is not archived' 
+      });
+    }
+
+    console.log(`✅ Product ${id} restored by ${req.user.email}`);
+    res.send({
+      success: true,
+      message: 'Product restored successfully',
+      data: product
+    });
+  } catch (error) {
+    console.error('Error restoring product:', error);
+    res.status(500).send({ 
+      success: false,
+      error: 'Failed to restore product' 
+    });
+  }
+});
+
+// ---------------------------------------------------------------------------
+// Product reviews
+// ---------------------------------------------------------------------------
+
+// A product's rating is the average of its visible reviews, stored on the
+// product with reviewCount so listings can filter and sort on it. Called
+// after every review write.
+const refreshProductRating = async (productId) => {
+  const [stats] = await reviewsCollection.aggregate([
+    { $match: { productId, status: 'visible' } },
+    { $group: { _id: null, average: { $avg: '$rating' }, count: { $sum: 1 } } }
+  ]).toArray();
+
+  const summary = {
+    rating: stats ? Math.round(stats.average * 10) / 10 : 0,
+    reviewCount: stats ? stats.count : 0
+  };
+  await productsCollection.updateOne({ _id: new ObjectId(productId) }, { $set: summary });
+  return summary;
+};
+
+// Load the review named by :id/:reviewId, or send an error and return null
+const findReview = async (req, res) => {
+  const { id, reviewId } = req.params;
+
+  if (!ObjectId.isValid(id) || !ObjectId.isValid(reviewId)) {
+    res.status(400).send({ 
+      success: false,
+      error: 'Invalid product or review ID' 
+    });
+    return null;
+  }
+
+  const review = await reviewsCollection.findOne({ _id: new ObjectId(reviewId), productId: id });
+
+  if (!review) {
+    res.status(404).send({ 
+      success: false,
+      error: 'Review not found' 
+    });
+    return null;
+  }
+
+  return review;
+};
+
+// Only buyers can review: an import of the product, or a purchase in the
+// orders ledger if the import has since been removed
+app.post('/products/:id/reviews', checkMongoConnection, verifyAuth, validateBody(schemas.review), async (req, res) => {
+  try {
+    const id = req.params.id;
+    const userEmail = req.user.email;
+
+    if (!ObjectId.isValid(id)) {
+      return res.status(400).send({ 
+        success: false,
+        error: 'Invalid product ID' 
+      });
+    }
+
+    const product = await productsCollection.findOne({ _id: new ObjectId(id) });
+
+    if (!product || product.status === 'draft') {
+      return res.status(404).send({ 
+        success: false,
+        error: 'Product not found' 
+      });
+    }
+
+    if (isOwner(req, product.userEmail)) {
+      return res.status(403).send({ 
+        success: false,
+        error: 'You cannot review your own product' 
+      });
+    }
+
+    const purchase = await importsCollection.findOne({ productId: id, userEmail })
+      || await ordersCollection.findOne({ productId: id, buyerEmail: userEmail, type: 'purchase' });
+
+    if (!purchase) {
+      return res.status(403).send({ 
+        success: false,
+        error: 'Only buyers who imported this product can review it' 
+      });
+    }
+
+    const review = {
+      productId: id,
+      productName: product.productName,
+      sellerEmail: product.userEmail,
+      userEmail,
+      userName: purchase.userName || purchase.buyerName || 'Anonymous',
+      rating: req.body.rating,
+      ...(req.body.comment && { comment: req.body.comment }),
+      status: 'visible',
+      createdAt: new Date(),
+      updatedAt: new Date()
+    };
+
+    let result;
+    try {
+      result = await reviewsCollection.insertOne(review);
+    } catch (error) {
+      if (error.code !== 11000) throw error;
+      return res.status(409).send({ 
+        success: false,
+        error: 'You have already reviewed this product' 
+      });
+    }
+
+    const summary = await refreshProductRating(id);
+
+    res.status(201).send({
+      success: true,
+      message: 'Review added successfully',
+      data: { ...review, _id: result.insertedId },
+      product: summary
+    });
+  } catch (error) {
+    console.error('Error creating review:', error);
+    res.status(500).send({ 
+      success: false,
+      error: 'Failed to create review' 
+    });
+  }
+});
+
+app.get('/products/:id/reviews', checkMongoConnection, validateCursor, async (req, res) => {
+  try {
+    const id = req.params.id;
+
+    if (!ObjectId.isValid(id)) {
+      return res.status(400).send({ 
+        success: false,
+        error: 'Invalid product ID' 
+      });
+    }
+
+    const product = await productsCollection.findOne(
+      { _id: new ObjectId(id) },
+      { projection: { rating: 1, reviewCount: 1 } }
+    );
+
+    if (!product) {
+      return res.status(404).send({ 
+        success: false,
+        error: 'Product not found' 
+      });
+    }
+
+    const { data: reviews, pagination } = await listPage(req, reviewsCollection, { productId: id, status: 'visible' }, {
+      field: 'createdAt',
+      direction: -1,
+      projection: { moderation: 0 }
+    });
+
+    res.send({
+      success: true,
+      data: reviews,
+      rating: product.rating || 0,
+      reviewCount: product.reviewCount || 0,
+      ...(pagination && { pagination })
+    });
+  } catch (error) {
+    console.error('Error fetching reviews:', error);
+    res.status(500).send({ 
+      success: false,
+      error: 'Failed to fetch reviews' 
+    });
+  }
+});
+
+// The author can change their rating and comment
+app.put('/products/:id/reviews/:reviewId', checkMongoConnection, verifyAuth, validateBody(schemas.review, { partial: true }), async (req, res) => {
+  try {
+    const review = await findReview(req, res);
+    if (!review) return;
+
+    if (!isOwner(req, review.userEmail)) {
+      return res.status(403).send({ 
+        success: false,
+        error: 'You can only edit your own reviews' 
+      });
+    }
+
+    const updated = await reviewsCollection.findOneAndUpdate(
+      { _id: review._id },
+      { $set: { ...req.body, updatedAt: new Date() } },
+      { returnDocument: 'after' }
+    );
+    const summary = await refreshProductRating(review.productId);
+
+    res.send({
+      success: true,
+      message: 'Review updated successfully',
+      data: updated,
+      product: summary
+    });
+  } catch (error) {
+    console.error('Error updating review:', error);
+    res.status(500).send({ 
+      success: false,
+      error: 'Failed to update review' 
+    });
+  }
+});
+
+app.delete('/products/:id/reviews/:reviewId', checkMongoConnection, verifyAuth, async (req, res) => {
+  try {
+    const review = await findReview(req, res);
+    if (!review) return;
+
+    if (!isOwner(req, review.userEmail) && !hasRole(req, 'admin', 'moderator')) {
+      return res.status(403).send({ 
+        success: false,
+        error: 'You can only delete your own reviews' 
+      });
+    }
+
+    await reviewsCollection.deleteOne({ _id: review._id });
+    const summary = await refreshProductRating(review.productId);
+
+    res.send({
+      success: true,
+      message: 'Review deleted successfully',
+      product: summary
+    });
+  } catch (error) {
+    console.error('Error deleting review:', error);
+    res.status(500).send({ 
+      success: false,
+      error: 'Failed to delete review' 
+    });
+  }
+});
+
+// The seller answers a review; a second reply replaces the first
+app.post('/products/:id/reviews/:reviewId/reply', checkMongoConnection, verifyAuth, validateBody(schemas.reviewReply), async (req, res) => {
+  try {
+    const review = await findReview(req, res);
+    if (!review) return;
+
+    if (!isOwner(req, review.sellerEmail) && !hasRole(req, 'admin')) {
+      return res.status(403).send({ 
+        success: false,
+        error: 'Only the seller can reply to this review' 
+      });
+    }
+
+    const updated = await reviewsCollection.findOneAndUpdate(
+      { _id: review._id },
+      { $set: { reply: { text: req.body.text, by: req.user.email, at: new Date() }, updatedAt: new Date() } },
+      { returnDocument: 'after' }
+    );
+
+    res.send({
+      success: true,
+      message: 'Reply saved successfully',
+      data: updated
+    });
+  } catch (error) {
+    console.error('Error replying to review:', error);
+    res.status(500).send({ 
+      success: false,
+      error: 'Failed to reply to review' 
+    });
+  }
+});
+
+// ---------------------------------------------------------------------------
+// Wishlists and restock alerts
+// ---------------------------------------------------------------------------
+
+// Wishlist entries with notify: true are "notify me" subscriptions. When a
+// product is restocked every subscriber gets a notification; the
+// subscription stays so they hear about the next restock as well.
+const notifyRestock = async (product) => {
+  if (product.deletedAt || baseStatus(product.status) !== DEFAULT_STATUS) return;
+
+  const productId = product._id.toString();
+  const subscribers = await wishlistsCollection
+    .find({ productId, notify: true })
+    .project({ userEmail: 1 })
+    .toArray();
+
+  if (subscribers.length === 0) return;
+
+  await Promise.all(subscribers.map(({ userEmail }) => notifier.notify({
+    userEmail,
+    type: 'product.restocked',
+    title: `${product.productName} is back in stock`,
+    message: `${product.availableQuantity} available now at ${product.price} ${product.currency || DEFAULT_CURRENCY}.`,
+    data: { productId }
+  })));
+
+  await wishlistsCollection.updateMany(
+    { productId, notify: true },
+    { $set: { lastNotifiedAt: new Date() } }
+  );
+  console.log(`🔔 Restock of ${productId} sent to ${subscribers.length} subscriber(s)`);
+};
+
+productEvents.on('restocked', (product) => {
+  notifyRestock(product).catch(error => console.error('❌ Error sending restock alerts:', error));
+});
+
+app.get('/users/:email/wishlist', checkMongoConnection, verifyAuth, verifyEmailOwner, validateCursor, async (req, res) => {
+  try {
+    const email = req.params.email;
+    const query = { userEmail: email, ...(req.query.notify === 'true' && { notify: true }) };
+
+    // Each entry comes with the product's current price, stock and status
+    const { data: items, pagination } = await listPage(req, wishlistsCollection, query, {
+      field: 'createdAt',
+      direction: -1,
+      stages: [
+        {
+          $lookup: {
+            from: 'products',
+            let: { productId: { $toObjectId: '$productId' } },
+            pipeline: [
+              { $match: { $expr: { $eq: ['$_id', '$$productId'] } } },
+              { $project: { productName: 1, productImage: 1, price: 1, availableQuantity: 1, rating: 1, status: 1, deletedAt: 1 } }
+            ],
+            as: 'product'
+          }
+        },
+        { $set: { product: { $ifNull: [{ $first: '$product' }, null] } } }
+      ]
+    });
+
+    res.send({
+      success: true,
+      data: items,
+      count: items.length,
+      ...(pagination && { pagination })
+    });
+  } catch (error) {
+    console.error('Error fetching wishlist:', error);
+    res.status(500).send({ 
+      success: false,
+      error: 'Failed to fetch wishlist' 
+    });
+  }
+});
+
+// Add a product, or change notify on one already in the wishlist
+app.post('/users/:email/wishlist', checkMongoConnection, verifyAuth, verifyEmailOwner, validateBody(schemas.wishlistItem), async (req, res) => {
+  try {
+    const email = req.params.email;
+    const { productId, notify } = req.body;
+
+    const product = await productsCollection.findOne(
+      { _id: new ObjectId(productId), ...listedProducts(PUBLIC_STATUSES) },
+      { projection: { _id: 1 } }
+    );
+
+    if (!product) {
+      return res.status(404).send({ 
+        success: false,
+        error: 'Product not found' 
+      });
+    }
+
+    const result = await wishlistsCollection.findOneAndUpdate(
+      { userEmail: email, productId },
+      {
+        $set: { updatedAt: new Date(), ...(notify !== undefined && { notify }) },
+        $setOnInsert: { userEmail: email, productId, ...(notify === undefined && { notify: false }), createdAt: new Date() }
+      },
+      { upsert: true, returnDocument: 'after', includeResultMetadata: true }
+    );
+    const created = !result.lastErrorObject.updatedExisting;
+
+    res.status(created ? 201 : 200).send({
+      success: true,
+      message: created ? 'Added to wishlist' : 'Wishlist updated',
+      data: result.value
+    });
+  } catch (error) {
+    console.error('Error adding to wishlist:', error);
+    res.status(500).send({ 
+      success: false,
+      error: 'Failed to update wishlist' 
+    });
+  }
+});
+
+// Turn the restock alert of a wishlisted product on or off
+app.patch('/users/:email/wishlist/:productId', checkMongoConnection, verifyAuth, verifyEmailOwner, validateBody(schemas.wishlistUpdate), async (req, res) => {
+  try {
+    const { email, productId } = req.params;
+
+    const item = await wishlistsCollection.findOneAndUpdate(
+      { userEmail: email, productId },
+      { $set: { notify: req.body.notify, updatedAt: new Date() } },
+      { returnDocument: 'after' }
+    );
+
+    if (!item) {
+      return res.status(404).send({ 
+        success: false,
+        error: 'Product is not in the wishlist' 
+      });
+    }
+
+    res.send({
+      success: true,
+      message: 'Wishlist updated',
+      data: item
+    });
+  } catch (error) {
+    console.error('Error updating wishlist:', error);
+    res.status(500).send({ 
+      success: false,
+      error: 'Failed to update wishlist' 
+    });
+  }
+});
+
+app.delete('/users/:email/wishlist/:productId', checkMongoConnection, verifyAuth, verifyEmailOwner, async (req, res) => {
+  try {
+    const { email, productId } = req.params;
+    const result = await wishlistsCollection.deleteOne({ userEmail: email, productId });
+
+    if (result.deletedCount === 0) {
+      return res.status(404).send({ 
+        success: false,
+        error: 'Product is not in the wishlist' 
+      });
+    }
+
+    res.send({
+      success: true,
+      message: 'Removed from wishlist'
+    });
+  } catch (error) {
+    console.error('Error removing from wishlist:', error);
+    res.status(500).send({ 
+      success: false,
+      error: 'Failed to update wishlist' 
+    });
+  }
+});
+
+// Flip a product between published and out_of_stock after its stock changed.
+// The update is conditional on the stock we saw, so a newer change wins and
+// syncs the status itself.
+const syncStockStatus = async (product) => {
+  if (!product) return product;
+
+  const status = statusForStock(product.status, product.availableQuantity);
+  if (status === (product.status || DEFAULT_STATUS)) return product;
+
+  const updated = await productsCollection.findOneAndUpdate(
+    { _id: product._id, status: product.status || null, availableQuantity: product.availableQuantity },
+    { $set: { status } },
+    { returnDocument: 'after' }
+  );
+  if (updated) console.log(`🔁 Product ${product._id} is now ${status}`);
+  return updated || product;
+};
+
+// Check and decrement stock in one conditional update so concurrent imports
+// can never drive availableQuantity below zero. Only published, non-archived
+// products can be imported. Resolves to the updated product, or null when it
+// is missing, not importable or has too little stock.
+const reserveStock = async (productId, quantity) => {
+  const product = await productsCollection.findOneAndUpdate(
+    { _id: new ObjectId(productId), ...listedProducts([DEFAULT_STATUS]), availableQuantity: { $gte: quantity } },
+    { 
+      $inc: { availableQuantity: -quantity, importCount: 1 },
+      $set: { updatedAt: new Date() }
+    },
+    { returnDocument: 'after' }
+  );
+  return syncStockStatus(product);
+};
+
+// Fire 'restocked' when stock went from 0 to positive
+const emitIfRestocked = (previousQuantity, product) => {
+  if (product && previousQuantity <= 0 && product.availableQuantity > 0) {
+    productEvents.emit('restocked', product);
+  }
+};
+
+// Give stock back. imports is how many reservations this undoes, taken off
+// the importCount reserveStock added for each. A rollback of a reservation
+// that just failed never announces a restock: the stock was only gone briefly.
+const releaseStock = async (productId, quantity, { imports = 0, rollback = false } = {}) => {
+  const product = await syncStockStatus(await productsCollection.findOneAndUpdate(
+    { _id: new ObjectId(productId) },
+    { 
+      $inc: { availableQuantity: quantity, ...(imports && { importCount: -imports }) },
+      $set: { updatedAt: new Date() }
+    },
+    { returnDocument: 'after' }
+  ));
+  if (product && !rollback) emitIfRestocked(product.availableQuantity - quantity, product);
+  return product;
+};
+
+// Send the right error after reserveStock returned null
+const sendStockConflict = async (res, productId) => {
+  const current = await productsCollection.findOne(
+    { _id: new ObjectId(productId) },
+    { projection: { availableQuantity: 1, deletedAt: 1, status: 1 } }
+  );
+
+  if (!current) {
+    return res.status(404).send({ 
+      success: false,
+      error: 'Product not found' 
+    });
+  }
+
+  if (current.deletedAt) {
+    return res.status(410).send({ 
+      success: false,
+      error: 'This product has been archived and can no longer be imported' 
+    });
+  }
+
+  const status = baseStatus(current.status);
+  if (status !== DEFAULT_STATUS) {
+    return res.status(409).send({ 
+      success: false,
+      error: `This product is ${status} and can't be imported`,
+      status
+    });
+  }
+
+  return res.status(409).send({ 
+    success: false,
+    error: 'Insufficient quantity available',
+    availableQuantity: current.availableQuantity
+  });
+};
+
+// Every import event is written to the orders ledger with the unit price at
+// that moment. Returns are negative quantities, so summing an import's orders
+// gives its importedQuantity and what was actually paid for it. Purchases are
+// in the product's currency at that moment, like their unitPrice; returns are
+// refunded in the currency the import was paid in, for amountMinor when
+// given (see getRefund) rather than unitPrice times quantity.
+const recordOrder = async ({ importDoc, product, type, quantity, unitPrice, amountMinor, userEmail }) => {
+  const currency = (type === 'purchase' && product && product.currency) || importDoc.currency || DEFAULT_CURRENCY;
+
+  // Imports from before sellerEmail was stored get it from their product
+  let sellerEmail = importDoc.sellerEmail || (product && product.userEmail) || null;
+  if (!sellerEmail && ObjectId.isValid(importDoc.productId)) {
+    const owner = await productsCollection.findOne({ _id: new ObjectId(importDoc.productId) }, { projection: { userEmail: 1 } });
+    sellerEmail = owner ? owner.userEmail : null;
+  }
+
+  return ordersCollection.insertOne({
+    importId: importDoc._id,
+    productId: importDoc.productId,
+    productName: importDoc.productName,
+    type,
+    quantity,
+    unitPrice,
+    amount: fromMinor(amountMinor ?? toMinor(unitPrice, currency) * BigInt(quantity), currency),
+    currency,
+    buyerEmail: importDoc.userEmail,
+    buyerName: importDoc.userName,
+    sellerEmail,
+    createdBy: userEmail,
+    createdAt: new Date()
+  });
+};
+
+// What returning `quantity` units of an import refunds, in minor units of
+// the import's currency: the same share of what is still held (paid minus
+// refunded so far), or all of it when everything goes back, so the ledger
+// of an import always nets to zero. Imports without orders fall back to
+// their stored price. Resolves to { amountMinor, unitPrice }.
+const getRefund = async (importDoc, quantity) => {
+  const currency = importDoc.currency || DEFAULT_CURRENCY;
+  const orders = await ordersCollection
+    .find({ importId: importDoc._id })
+    .project({ quantity: 1, amount: 1 })
+    .toArray();
+
+  let heldQuantity = 0;
+  let heldMinor = 0n;
+  orders.forEach(order => {
+    heldQuantity += order.quantity;
+    heldMinor += toMinor(order.amount || 0, currency);
+  });
+
+  let amountMinor;
+  if (heldQuantity <= 0) {
+    amountMinor = toMinor(importDoc.price || 0, currency) * BigInt(quantity);
+  } else if (quantity >= heldQuantity) {
+    amountMinor = heldMinor;
+  } else {
+    amountMinor = divRound(heldMinor * BigInt(quantity), BigInt(heldQuantity));
+  }
+
+  return { amountMinor: -amountMinor, unitPrice: fromMinor(divRound(amountMinor, BigInt(quantity)), currency) };
+};
+
+// Two concurrent first imports by the same buyer can both miss and try to
+// insert; the unique index rejects the second, whose retry then merges into
+// the document the first one created
+const upsertImport = async (filter, update) => {
+  const options = { upsert: true, returnDocument: 'after' };
+  try {
+    return await importsCollection.findOneAndUpdate(filter, update, options);
+  } catch (error) {
+    if (error.code !== 11000) throw error;
+    return importsCollection.findOneAndUpdate(filter, update, options);
+  }
+};
+
+app.post('/imports', checkMongoConnection, verifyAuth, validateBody(schemas.import), async (req, res) => {
+  try {
+    const {
+      productId,
+      importedQuantity: quantity,
+      userName
+    } = req.body;
+    const userEmail = req.user.email;
+
+    const product = await reserveStock(productId, quantity);
+
+    if (!product) {
+      return sendStockConflict(res, productId);
+    }
+
+    // Stock is reserved - record the import, giving the stock back if that fails.
+    // Product details come from the stored product, not the request body.
+    const historyEntry = { type: 'import', delta: quantity, price: product.price, at: new Date() };
+    let importResult;
+    try {
+      importResult = await upsertImport(
+        { productId, userEmail },
+        {
+          $inc: { importedQuantity: quantity },
+          $set: { updatedAt: new Date() },
+          $push: { history: historyEntry },
+          $setOnInsert: {
+            productId,
+            productName: product.productName,
+            productImage: product.productImage,
+            price: product.price,
+            currency: product.currency || DEFAULT_CURRENCY,
+            rating: product.rating,
+            originCountry: product.originCountry,
+            userEmail,
+            userName: userName || 'Anonymous',
+            sellerEmail: product.userEmail,
+            createdAt: new Date()
+          }
+        }
+      );
+    } catch (error) {
+      await releaseStock(productId, quantity, { imports: 1, rollback: true });
+      throw error;
+    }
+    const finalImportId = importResult._id;
+
+    try {
+      await recordOrder({
+        importDoc: importResult,
+        product,
+        type: 'purchase',
+        quantity,
+        unitPrice: product.price,
+        userEmail
+      });
+    } catch (error) {
+      // Keep the ledger and the import view in step
+      await importsCollection.updateOne(
+        { _id: finalImportId },
+        { $inc: { importedQuantity: -quantity }, $pull: { history: historyEntry } }
+      );
+      await releaseStock(productId, quantity, { imports: 1, rollback: true });
+      throw error;
+    }
+
+    await queueWebhookEvent('import.created', [userEmail, product.userEmail], {
+      importId: finalImportId,
+      productId,
+      productName: product.productName,
+      quantity,
+      unitPrice: product.price,
+      currency: product.currency || DEFAULT_CURRENCY,
+      importedQuantity: importResult.importedQuantity,
+      buyerEmail: userEmail,
+      sellerEmail: product.userEmail,
+      availableQuantity: product.availableQuantity
+    });
+
+    const importData = { productId, importId: finalImportId, quantity };
+    notifyAll([
+      !isOwner(req, product.userEmail) && {
+        userEmail: product.userEmail,
+        type: 'import.created',
+        title: `New import of ${product.productName}`,
+        message: `${importResult.userName} imported ${quantity} unit(s), ${product.availableQuantity} left in stock.`,
+        data: importData
+      },
+      {
+        userEmail,
+        type: 'import.created',
+        title: 'Import confirmed',
+        message: `You imported ${quantity} x ${product.productName} at ${product.price} ${product.currency || DEFAULT_CURRENCY} each.`,
+        data: importData
+      }
+    ]);
+
+    res.status(201).send({
+      success: true,
+      importId: finalImportId,
+      availableQuantity: product.availableQuantity,
+      message: 'Product imported successfully'
+    });
+  } catch (error) {
+    console.error('Error importing product:', error);
+    res.status(500).send({ 
+      success: false,
+      error: 'Failed to import product' 
+    });
+  }
+});
+
+app.get('/dashboard/stats/:email', checkMongoConnection, verifyAuth, verifyEmailOwner, async (req, res) => {
+  try {
+    const email = req.params.email;
+    const range = parseActivityQuery(req.query);
+
+    if (range.error) {
+      return res.status(400).send({ 
+        success: false,
+        error: range.error 
+      });
+    }
+
+    // Money totals are converted into ?currency= (default DEFAULT_CURRENCY)
+    const target = await parseCurrencyParam(req.query.currency);
+    if (target.error) {
+      return res.status(400).send({ 
+        success: false,
+        error: target.error 
+      });
+    }
+    const currency = target.currency || DEFAULT_CURRENCY;
+    const rates = target.rates || (await getRates()).table;
+    
+    // 1. Total Exports (Products added by user)
+    const totalExports = await productsCollection.countDocuments({ userEmail: email, ...ACTIVE_PRODUCT });
+    
+    // 2. Total Imports (Items bought by user) - totals come from the orders
+    // ledger so each purchase counts at the price actually paid. Amounts are
+    // summed per currency as decimals and converted exactly.
+    const orderTotals = await ordersCollection.aggregate([
+      { $match: { buyerEmail: email } },
+      {
+        $group: {
+          _id: { $ifNull: ['$currency', DEFAULT_CURRENCY] },
+          quantity: { $sum: '$quantity' },
+          amount: { $sum: { $toDecimal: '$amount' } }
+        }
+      }
+    ]).toArray();
+    const totalImports = orderTotals.reduce((sum, t) => sum + t.quantity, 0);
+    const spentByCurrency = Object.fromEntries(orderTotals.map(t => [t._id, t.amount.toString()]));
+    const spent = convertTotals(spentByCurrency, currency, rates);
+
+    // 2b. Total Earned (Revenue from other users importing their products),
+    // per currency of each order
+    const sellerProducts = await productsCollection.find({ userEmail: email }).project({ _id: 1 }).toArray();
+    const { unitsSold: totalSold, revenueByCurrency: earnedByCurrency } = await salesTotals(
+      sellerProducts.map(p => p._id.toString())
+    );
+    const earned = convertTotals(earnedByCurrency, currency, rates);
+
+    // Currencies with no rate are left out of the converted totals
+    const unconvertedCurrencies = [...new Set([...spent.missing, ...earned.missing])];
+
+    // 3. Category Distribution (for Pie Chart) - based on their exports
+    const userProducts = await productsCollection.find({ userEmail: email, ...ACTIVE_PRODUCT }).toArray();
+    const categoryMap = {};
+    
+    userProducts.forEach(p => {
+      const cat = p.category || 'Uncategorized';
+      categoryMap[cat] = (categoryMap[cat] || 0) + 1;
+    });
+
+    const categoryData = Object.entries(categoryMap).map(([name, value]) => ({ name, value }));
+
+    // 4. Activity Data - products created and quantities imported per
+    // day/week/month of the requested range (?from=&to=&bucket=&tz=), which
+    // covers whole buckets and ends before `to`
+    const { from, to, bucket, timezone, keys } = range;
+    const [exportBuckets, importBuckets] = await Promise.all([
+      productsCollection.aggregate([
+        { $match: { userEmail: email, createdAt: { $gte: from, $lt: to } } },
+        { $group: { _id: bucketKeyExpression('$createdAt', bucket, timezone), count: { $sum: 1 } } }
+      ]).toArray(),
+      ordersCollection.aggregate([
+        { $match: { buyerEmail: email, type: 'purchase', createdAt: { $gte: from, $lt: to } } },
+        { $group: { _id: bucketKeyExpression('$createdAt', bucket, timezone), quantity: { $sum: '$quantity' } } }
+      ]).toArray()
+    ]);
+
+    const exportsByKey = Object.fromEntries(exportBuckets.map(b => [b._id, b.count]));
+    const importsByKey = Object.fromEntries(importBuckets.map(b => [b._id, b.quantity]));
+
+    const activityData = keys.map(key => ({
+      name: bucket === 'month' ? key.slice(0, 7) : key,
+      date: key,
+      exports: exportsByKey[key] || 0,
+      imports: importsByKey[key] || 0
+    }));
+
+    res.send({
+      success: true,
+      stats: {
+        totalExports,
+        totalImports,
+        totalSpent: spent.total,
+        totalEarned: earned.total,
+        totalSold,
+        currency,
+        totalSpentByCurrency: roundTotals(spentByCurrency),
+        totalEarnedByCurrency: roundTotals(earnedByCurrency),
+        unconvertedCurrencies
+      },
+      charts: {
+        categoryData,
+        activityData
+      },
+      activity: { from, to, bucket, timezone }
+    });
+
+  } catch (error) {
+    console.error('Error fetching dashboard stats:', error);
+    res.status(500).send({ 
+      success: false,
+      error: 'Failed to fetch dashboard stats' 
+    });
+  }
+});
+
+// Order ledger for a user, as buyer (default) or as seller (?as=seller)
+app.get('/orders/:email', checkMongoConnection, verifyAuth, verifyEmailOwner, validateCursor, async (req, res) => {
+  try {
+    const email = req.params.email;
+    const query = req.query.as === 'seller' ? { sellerEmail: email } : { buyerEmail: email };
+
+    if (req.query.productId) query.productId = String(req.query.productId);
+
+    const { data: orders, pagination } = await listPage(req, ordersCollection, query, {
+      field: 'createdAt',
+      direction: -1
+    });
+
+    res.send({
+      success: true,
+      data: orders,
+      count: orders.length,
+      ...(pagination && { pagination })
+    });
+  } catch (error) {
+    console.error('Error fetching orders:', error);
+    res.status(500).send({
+      success: false,
+      error: 'Failed to fetch orders'
+    });
+  }
+});
+
+const DATE_ONLY = /^\d{4}-\d{2}-\d{2}$/;
+
+// Downloadable statement of a buyer's orders: ?format=csv|pdf&from=&to=
+// Streamed from a cursor so long histories are never loaded at once.
+app.get('/imports/:email/report', checkMongoConnection, verifyAuth, verifyEmailOwner, async (req, res) => {
+  try {
+    const email = req.params.email;
+    const format = req.query.format || 'csv';
+    const from = req.query.from ? new Date(req.query.from) : null;
+    const to = req.query.to ? new Date(req.query.to) : null;
+
+    if (format !== 'csv' && format !== 'pdf') {
+      return res.status(400).send({ 
+        success: false,
+        error: 'format must be csv or pdf' 
+      });
+    }
+
+    if ((from && isNaN(from.getTime())) || (to && isNaN(to.getTime()))) {
+      return res.status(400).send({ 
+        success: false,
+        error: 'from and to must be valid dates' 
+      });
+    }
+
+    const query = { buyerEmail: email };
+    if (from || to) {
+      query.createdAt = {};
+      if (from) query.createdAt.$gte = from;
+      // A date without a time covers that whole day
+      if (to && DATE_ONLY.test(req.query.to)) {
+        query.createdAt.$lt = new Date(to.getTime() + 24 * 60 * 60 * 1000);
+      } else if (to) {
+        query.createdAt.$lte = to;
+      }
+    }
+
+    const cursor = ordersCollection.find(query).sort({ createdAt: 1, _id: 1 });
+
+    const filename = `statement-${new Date().toISOString().slice(0, 10)}.${format}`;
+    res.setHeader('Content-Type', format === 'csv' ? 'text/csv; charset=utf-8' : 'application/pdf');
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+
+    const write = async (chunk) => {
+      if (!res.write(chunk)) await once(res, 'drain');
+    };
+
+    // Totals are kept in minor units per currency to avoid float drift
+    const totals = {};
+    const writers = {
+      csv: {
+        header: () => write(toCsvRow(['date', 'orderId', 'productName', 'type', 'quantity', 'unitPrice', 'lineTotal', 'currency'])),
+        row: (o, minor, currency) => write(toCsvRow([
+          o.createdAt, o._id, o.productName, o.type, o.quantity, o.unitPrice, formatMinor(minor, currency), currency
+        ])),
+        footer: async () => {
+          for (const [currency, minor] of Object.entries(totals)) {
+            await write(toCsvRow(['', '', 'TOTAL', '', '', '', formatMinor(minor, currency), currency]));
+          }
+        }
+      }
+    };
+
+    if (format === 'pdf') {
+      const pdf = createPdfWriter(write);
+      const column = (value, width) => String(value === undefined || value === null ? '' : value).slice(0, width).padEnd(width);
+      writers.pdf = {
+        header: async () => {
+          await pdf.addLine(`Import statement for ${email}`);
+          await pdf.addLine(`Period: ${from ? from.toISOString().slice(0, 10) : 'start'} to ${to ? to.toISOString().slice(0, 10) : 'today'}`);
+          await pdf.addLine('');
+          await pdf.addLine(column('Date', 11) + column('Product', 30) + column('Type', 9) + column('Qty', 6) + column('Unit', 11) + column('Total', 12) + 'Cur');
+        },
+        row: (o, minor, currency) => pdf.addLine(
+          column(o.createdAt.toISOString().slice(0, 10), 11) + column(o.productName, 30) + column(o.type, 9) +
+          column(o.quantity, 6) + column(formatMinor(toMinor(o.unitPrice, currency), currency), 11) +
+          column(formatMinor(minor, currency), 12) + currency
+        ),
+        footer: async () => {
+          await pdf.addLine('');
+          for (const [currency, minor] of Object.entries(totals)) {
+            await pdf.addLine(column('', 11) + column('TOTAL', 30) + column('', 26) + column(formatMinor(minor, currency), 12) + currency);
+          }
+          await pdf.end();
+        }
+      };
+    }
+
+    const output = writers[format];
+    await output.header();
+
+    for await (const order of cursor) {
+      const currency = order.currency || DEFAULT_CURRENCY;
+      // amount is what was charged or refunded; unitPrice of a return is rounded
+      const minor = order.amount !== undefined
+        ? toMinor(order.amount, currency)
+        : toMinor(order.unitPrice, currency) * BigInt(order.quantity);
+      totals[currency] = (totals[currency] || 0n) + minor;
+      await output.row(order, minor, currency);
+    }
+
+    await output.footer();
+    res.end();
+  } catch (error) {
+    console.error('Error generating import report:', error);
+    if (res.headersSent) return res.destroy(error);
+    res.status(500).send({ 
+      success: false,
+      error: 'Failed to generate report' 
+    });
+  }
+});
+
+app.get('/imports/:email', checkMongoConnection, verifyAuth, verifyEmailOwner, validateCursor, async (req, res) => {
+  try {
+    const email = req.params.email;
+    console.log('📥 Fetching imports for email:', email);
+    
+    // Each import is the running position for one product. Its quantity and
+    // totals come from its orders, the ledger being the source of truth;
+    // importedQuantity on the document only guards concurrent returns.
+    const { data: imports, pagination } = await listPage(req, importsCollection, { userEmail: email }, {
+      field: 'createdAt',
+      direction: -1,
+      stages: [
+        {
+          $lookup: {
+            from: 'orders',
+            localField: '_id',
+            foreignField: 'importId',
+            as: 'orders'
+          }
+        },
+        {
+          $addFields: {
+            orderCount: { $size: '$orders' },
+            // Imports from before the ledger that were never backfilled keep their own count
+            importedQuantity: {
+              $cond: [{ $gt: [{ $size: '$orders' }, 0] }, { $sum: '$orders.quantity' }, '$importedQuantity']
+            },
+            totalSpent: { $toDouble: { $sum: { $map: { input: '$orders', in: { $toDecimal: '$$this.amount' } } } } },
+            lastOrderAt: { $max: '$orders.createdAt' }
+          }
+        },
+        {
+          $addFields: {
+            averagePrice: {
+              $cond: [{ $gt: ['$importedQuantity', 0] }, { $divide: ['$totalSpent', '$importedQuantity'] }, '$price']
+            }
+          }
+        },
+        { $project: { orders: 0 } }
+      ]
+    });
+
+    console.log(`✅ Found ${imports.length} imports`);
+
+    res.send({
+      success: true,
+      data: imports,
+      count: imports.length,
+      ...(pagination && { pagination })
+    });
+  } catch (error) {
+    console.error('Error fetching imports:', error);
+    res.status(500).send({
+      success: false,
+      error: 'Failed to fetch imports'
+    });
+  }
+});
+
+// Return part of an import ({ delta: -3 }) or buy more of it ({ delta: 2 }).
+// Every change is appended to the import's history.
+app.patch('/imports/:id', checkMongoConnection, verifyAuth, validateBody(schemas.importAdjustment), async (req, res) => {
+  try {
+    const id = req.params.id;
+    const { delta, note } = req.body;
+    
+    if (!ObjectId.isValid(id)) {
+      return res.status(400).send({ 
+        success: false,
+        error: 'Invalid import ID' 
+      });
+    }
+
+    const importData = await importsCollection.findOne({ _id: new ObjectId(id) });
+    
+    if (!importData) {
+      return res.status(404).send({ 
+        success: false,
+        error: 'Import not found' 
+      });
+    }
+
+    if (!isOwner(req, importData.userEmail) && !hasRole(req, 'admin')) {
+      return res.status(403).send({ 
+        success: false,
+        error: 'You can only change your own imports' 
+      });
+    }
+
+    const entry = {
+      type: delta < 0 ? 'return' : 'increase',
+      delta,
+      at: new Date(),
+      by: req.user.email,
+      ...(note && { note })
+    };
+
+    let updatedImport, product;
+
+    if (delta < 0) {
+      // Returning everything is DELETE /imports/:id, so keep at least one unit
+      updatedImport = await importsCollection.findOneAndUpdate(
+        { _id: importData._id, importedQuantity: { $gt: -delta } },
+        {
+          $inc: { importedQuantity: delta },
+          $set: { updatedAt: new Date() },
+          $push: { history: entry }
+        },
+        { returnDocument: 'after' }
+      );
+
+      if (!updatedImport) {
+        return res.status(409).send({ 
+          success: false,
+          error: 'Cannot return more than the imported quantity. Use DELETE to remove the whole import.',
+          importedQuantity: importData.importedQuantity
+        });
+      }
+
+      // Ledger before stock: if the order can't be written the import is put
+      // back and no stock has moved
+      const refund = await getRefund(importData, -delta);
+      try {
+        await recordOrder({ importDoc: updatedImport, product: null, type: 'return', quantity: delta, ...refund, userEmail: req.user.email });
+      } catch (error) {
+        await importsCollection.updateOne(
+          { _id: importData._id },
+          { $inc: { importedQuantity: -delta }, $pull: { history: entry } }
+        );
+        throw error;
+      }
+
+      product = await releaseStock(importData.productId, -delta);
+    } else {
+      product = await reserveStock(importData.productId, delta);
+
+      if (!product) {
+        return sendStockConflict(res, importData.productId);
+      }
+
+      try {
+        updatedImport = await importsCollection.findOneAndUpdate(
+          { _id: importData._id },
+          {
+            $inc: { importedQuantity: delta },
+            $set: { updatedAt: new Date() },
+            $push: { history: { ...entry, price: product.price } }
+          },
+          { returnDocument: 'after' }
+        );
+      } catch (error) {
+        await releaseStock(importData.productId, delta, { imports: 1, rollback: true });
+        throw error;
+      }
+
+      if (!updatedImport) {
+        // Removed concurrently - give the stock back
+        await releaseStock(importData.productId, delta, { imports: 1, rollback: true });
+        return res.status(404).send({ 
+          success: false,
+          error: 'Import not found' 
+        });
+      }
+
+      try {
+        await recordOrder({ importDoc: updatedImport, product, type: 'purchase', quantity: delta, unitPrice: product.price, userEmail: req.user.email });
+      } catch (error) {
+        // Keep the ledger and the import view in step, as in POST /imports
+        await importsCollection.updateOne(
+          { _id: importData._id },
+          { $inc: { importedQuantity: -delta }, $pull: { history: { ...entry, price: product.price } } }
+        );
+        await releaseStock(importData.productId, delta, { imports: 1, rollback: true });
+        throw error;
+      }
+    }
+
+    res.send({
+      success: true,
+      message: 'Import updated successfully',
+      data: updatedImport,
+      availableQuantity: product ? product.availableQuantity : null
+    });
+  } catch (error) {
+    console.error('Error updating import:', error);
+    res.status(500).send({ 
+      success: false,
+      error: 'Failed to update import' 
+    });
+  }
+});
+
+app.delete('/imports/:id', checkMongoConnection, verifyAuth, async (req, res) => {
+  try {
+    const id = req.params.id;
+    
+    if (!ObjectId.isValid(id)) {
+      return res.status(400).send({ 
+        success: false,
+        error: 'Invalid import ID' 
+      });
+    }
+
+    const importData = await importsCollection.findOne({ _id: new ObjectId(id) });
+    
+    if (!importData) {
+      return res.status(404).send({ 
+        success: false,
+        error: 'Import not found' 
+      });
+    }
+
+    if (!isOwner(req, importData.userEmail) && !hasRole(req, 'admin')) {
+      return res.status(403).send({ 
+        success: false,
+        error: 'You can only remove your own imports' 
+      });
+    }
+
+    // Delete first so two concurrent removals can't both restore the stock
+    const removed = await importsCollection.findOneAndDelete({ _id: importData._id });
+
+    if (!removed) {
+      return res.status(404).send({ 
+        success: false,
+        error: 'Import not found' 
+      });
+    }
+
+    // Ledger before stock: if the return can't be written the import is
+    // restored and no stock has moved
+    const refund = await getRefund(removed, removed.importedQuantity);
+    try {
+      await recordOrder({ importDoc: removed, product: null, type: 'return', quantity: -removed.importedQuantity, ...refund, userEmail: req.user.email });
+    } catch (error) {
+      await importsCollection.insertOne(removed)
+        .catch(restoreError => console.error('❌ Failed to restore import after a ledger error:', restoreError));
+      throw error;
+    }
+
+    // Every purchase that went into the import stops counting towards popularity
+    const purchases = (removed.history || []).filter(entry => entry.delta > 0).length;
+    const product = await releaseStock(removed.productId, removed.importedQuantity, { imports: Math.max(purchases, 1) });
+
+    const sellerEmail = removed.sellerEmail || (product && product.userEmail);
+
+    await queueWebhookEvent('import.removed', [removed.userEmail, sellerEmail], {
+      importId: removed._id,
+      productId: removed.productId,
+      productName: removed.productName,
+      quantity: removed.importedQuantity,
+      buyerEmail: removed.userEmail,
+      sellerEmail,
+      removedBy: req.user.email,
+      availableQuantity: product ? product.availableQuantity : null
+    });
+    const removedData = { productId: removed.productId, importId: removed._id, quantity: removed.importedQuantity };
+    notifyAll([
+      sellerEmail !== removed.userEmail && {
+        userEmail: sellerEmail,
+        type: 'import.removed',
+        title: `Import of ${removed.productName} removed`,
+        message: `${removed.userName} returned ${removed.importedQuantity} unit(s) to stock.`,
+        data: removedData
+      },
+      {
+        userEmail: removed.userEmail,
+        type: 'import.removed',
+        title: 'Import removed',
+        message: `${removed.importedQuantity} x ${removed.productName} went back to stock` +
+          (isOwner(req, removed.userEmail) ? '.' : ` (removed by ${req.user.email}).`),
+        data: removedData
+      }
+    ]);
+
+    res.send({
+      success: true,
+      message: 'Import removed successfully'
+    });
+  } catch (error) {
+    console.error('Error removing import:', error);
+    res.status(500).send({ 
+      success: false,
+      error: 'Failed to remove import' 
+    });
+  }
+});
+
+// ---------------------------------------------------------------------------
+// Notifications
+// ---------------------------------------------------------------------------
+
+app.get('/notifications', checkMongoConnection, verifyAuth, validateCursor, async (req, res) => {
+  try {
+    const userEmail = req.user.email;
+    const query = { userEmail, ...(req.query.unread === 'true' && { read: false }) };
+
+    const [{ data: notifications, pagination }, unreadCount] = await Promise.all([
+      listPage(req, notificationsCollection, query, { field: 'createdAt', direction: -1 }),
+      notificationsCollection.countDocuments({ userEmail, read: false })
+    ]);
+
+    res.send({
+      success: true,
+      data: notifications,
+      count: notifications.length,
+      unreadCount,
+      ...(pagination && { pagination })
+    });
+  } catch (error) {
+    console.error('Error fetching notifications:', error);
+    res.status(500).send({ 
+      success: false,
+      error: 'Failed to fetch notifications' 
+    });
+  }
+});
+
+// EventSource can't send headers, so browsers open the stream with
+// ?token= from POST /notifications/stream-token. Those tokens live a minute
+// and only open the stream, so one that ends up in a proxy or access log is
+// of little use; the access token never goes in a URL.
+const STREAM_TOKEN_PURPOSE = 'notifications-stream';
+const STREAM_TOKEN_TTL = 60; // seconds
+
+app.post('/notifications/stream-token', checkMongoConnection, verifyAuth, (req, res) => {
+  res.send({
+    success: true,
+    token: signToken({ email: req.user.email, purpose: STREAM_TOKEN_PURPOSE }, STREAM_TOKEN_TTL),
+    expiresIn: STREAM_TOKEN_TTL
+  });
+});
+
+// ?token= stream token, or the usual Authorization header
+const verifyStreamAuth = (req, res, next) => {
+  if (!req.query.token) return verifyAuth(req, res, next);
+
+  const claims = verifyToken(String(req.query.token));
+  if (!claims || claims.purpose !== STREAM_TOKEN_PURPOSE) {
+    return res.status(401).send({ 
+      success: false,
+      error: 'Invalid or expired stream token' 
+    });
+  }
+
+  req.user = { email: claims.email };
+  next();
+};
+
+// Server-Sent Events: 'unread' with { unreadCount } on connect and whenever
+// it changes, 'notification' with each new notification
+app.get('/notifications/stream', checkMongoConnection, verifyStreamAuth, async (req, res) => {
+  const email = req.user.email.toLowerCase();
+  const isMine = (userEmail) => String(userEmail).toLowerCase() === email;
+
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+
+  const send = (event, data) => res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  const sendUnread = () => {
+    return notificationsCollection.countDocuments({ userEmail: req.user.email, read: false })
+      .then(unreadCount => send('unread', { unreadCount }))
+      .catch(error => console.error('❌ Error counting unread notifications:', error));
+  };
+
+  const onCreated = (doc) => {
+    if (!isMine(doc.userEmail)) return;
+    send('notification', doc);
+    sendUnread();
+  };
+  const onRead = (userEmail) => {
+    if (isMine(userEmail)) sendUnread();
+  };
+
+  notificationEvents.on('created', onCreated);
+  notificationEvents.on('read', onRead);
+  // Comment lines keep proxies from closing an idle connection
+  const heartbeat = setInterval(() => res.write(': ping\n\n'), 25000);
+
+  req.on('close', () => {
+    clearInterval(heartbeat);
+    notificationEvents.off('created', onCreated);
+    notificationEvents.off('read', onRead);
+  });
+
+  await sendUnread();
+});
+
+app.patch('/notifications/:id/read', checkMongoConnection, verifyAuth, async (req, res) => {
+  try {
+    const id = req.params.id;
+
+    if (!ObjectId.isValid(id)) {
+      return res.status(400).send({ 
+        success: false,
+        error: 'Invalid notification ID' 
+      });
+    }
+
+    const notification = await notificationsCollection.findOneAndUpdate(
+      { _id: new ObjectId(id), userEmail: req.user.email },
+      { $set: { read: true, readAt: new Date() } },
+      { returnDocument: 'after' }
+    );
+
+    if (!notification) {
+      return res.status(404).send({ 
+        success: false,
+        error: 'Notification not found' 
+      });
+    }
+
+    notificationEvents.emit('read', req.user.email);
+    res.send({
+      success: true,
+      data: notification
+    });
+  } catch (error) {
+    console.error('Error marking notification read:', error);
+    res.status(500).send({ 
+      success: false,
+      error: 'Failed to update notification' 
+    });
+  }
+});
+
+app.post('/notifications/read-all', checkMongoConnection, verifyAuth, async (req, res) => {
+  try {
+    const result = await notificationsCollection.updateMany(
+      { userEmail: req.user.email, read: false },
+      { $set: { read: true, readAt: new Date() } }
+    );
+
+    notificationEvents.emit('read', req.user.email);
+    res.send({
+      success: true,
+      message: 'All notifications marked as read',
+      modifiedCount: result.modifiedCount
+    });
+  } catch (error) {
+    console.error('Error marking notifications read:', error);
+    res.status(500).send({ 
+      success: false,
+      error: 'Failed to update notifications' 
+    });
+  }
+});
+
+// ---------------------------------------------------------------------------
+// Webhooks
+// ---------------------------------------------------------------------------
+
+const MAX_WEBHOOKS_PER_USER = 10;
+
+// Load one of the caller's webhooks (admins may load any), or send an error
+// and return null
+const findWebhook = async (req, res) => {
+  const id = req.params.id;
+
+  if (!ObjectId.isValid(id)) {
+    res.status(400).send({ 
+      success: false,
+      error: 'Invalid webhook ID' 
+    });
+    return null;
+  }
+
+  const webhook = await webhooksCollection.findOne({ _id: new ObjectId(id) });
+
+  if (!webhook || (!isOwner(req, webhook.userEmail) && !hasRole(req, 'admin'))) {
+    res.status(404).send({ 
+      success: false,
+      error: 'Webhook not found' 
+    });
+    return null;
+  }
+
+  return webhook;
+};
+
+// Secrets are only returned when a webhook is created
+const hideSecret = ({ secret, ...webhook }) => webhook;
+
+app.get('/webhooks', checkMongoConnection, verifyAuth, async (req, res) => {
+  try {
+    const webhooks = await webhooksCollection
+      .find({ userEmail: req.user.email })
+      .project({ secret: 0 })
+      .sort({ createdAt: -1 })
+      .toArray();
+
+    res.send({
+      success: true,
+      data: webhooks,
+      count: webhooks.length
+    });
+  } catch (error) {
+    console.error('Error fetching webhooks:', error);
+    res.status(500).send({ 
+      success: false,
+      error: 'Failed to fetch webhooks' 
+    });
+  }
+});
+
+app.post('/webhooks', checkMongoConnection, verifyAuth, validateBody(schemas.webhook), async (req, res) => {
+  try {
+    const userEmail = req.user.email;
+
+    if (await webhooksCollection.countDocuments({ userEmail }) >= MAX_WEBHOOKS_PER_USER) {
+      return res.status(409).send({ 
+        success: false,
+        error: `At most ${MAX_WEBHOOKS_PER_USER} webhooks are allowed per user` 
+      });
+    }
+
+    const { url, events, description, active } = req.body;
+
+    const urlError = await checkWebhookUrl(url);
+    if (urlError) {
+      return sendValidationError(res, [{ field: 'url', message: urlError }]);
+    }
+
+    const webhook = {
+      userEmail,
+      url,
+      events,
+      ...(description && { description }),
+      active: active !== false,
+      secret: generateSecret(),
+      createdAt: new Date(),
+      updatedAt: new Date()
+    };
+
+    const result = await webhooksCollection.insertOne(webhook);
+
+    res.status(201).send({
+      success: true,
+      message: 'Webhook created. Store the secret now - it is not shown again.',
+      data: { ...webhook, _id: result.insertedId }
+    });
+  } catch (error) {
+    console.error('Error creating webhook:', error);
+    res.status(500).send({ 
+      success: false,
+      error: 'Failed to create webhook' 
+    });
+  }
+});
+
+app.put('/webhooks/:id', checkMongoConnection, verifyAuth, validateBody(schemas.webhook, { partial: true }), async (req, res) => {
+  try {
+    const webhook = await findWebhook(req, res);
+    if (!webhook) return;
+
+    const urlError = req.body.url && await checkWebhookUrl(req.body.url);
+    if (urlError) {
+      return sendValidationError(res, [{ field: 'url', message: urlError }]);
+    }
+
+    const updated = await webhooksCollection.findOneAndUpdate(
+      { _id: webhook._id },
+      { $set: { ...req.body, updatedAt: new Date() } },
+      { returnDocument: 'after', projection: { secret: 0 } }
+    );
+
+    res.send({
+      success: true,
+      message: 'Webhook updated successfully',
+      data: updated
+    });
+  } catch (error) {
+    console.error('Error updating webhook:', error);
+    res.status(500).send({ 
+      success: false,
+      error: 'Failed to update webhook' 
+    });
+  }
+});
+
+// Pending deliveries of a deleted webhook fail on their next attempt; the
+// log stays until it expires
+app.delete('/webhooks/:id', checkMongoConnection, verifyAuth, async (req, res) => {
+  try {
+    const webhook = await findWebhook(req, res);
+    if (!webhook) return;
+
+    await webhooksCollection.deleteOne({ _id: webhook._id });
+
+    res.send({
+      success: true,
+      message: 'Webhook deleted successfully'
+    });
+  } catch (error) {
+    console.error('Error deleting webhook:', error);
+    res.status(500).send({ 
+      success: false,
+      error: 'Failed to delete webhook' 
+    });
+  }
+});
+
+app.post('/webhooks/:id/rotate-secret', checkMongoConnection, verifyAuth, async (req, res) => {
+  try {
+    const webhook = await findWebhook(req, res);
+    if (!webhook) return;
+
+    const secret = generateSecret();
+    await webhooksCollection.updateOne({ _id: webhook._id }, { $set: { secret, updatedAt: new Date() } });
+
+    res.send({
+      success: true,
+      message: 'Secret rotated. Store it now - it is not shown again.',
+      data: { ...hideSecret(webhook), secret }
+    });
+  } catch (error) {
+    console.error('Error rotating webhook secret:', error);
+    res.status(500).send({ 
+      success: false,
+      error: 'Failed to rotate webhook secret' 
+    });
+  }
+});
+
+// Delivery log, newest first (?status=pending|sending|delivered|failed)
+app.get('/webhooks/:id/deliveries', checkMongoConnection, verifyAuth, validateCursor, async (req, res) => {
+  try {
+    const webhook = await findWebhook(req, res);
+    if (!webhook) return;
+
+    const query = { webhookId: webhook._id, ...(req.query.status && { status: String(req.query.status) }) };
+    const { data: deliveries, pagination } = await listPage(req, webhookDeliveriesCollection, query, {
+      field: 'createdAt',
+      direction: -1
+    });
+
+    res.send({
+      success: true,
+      data: deliveries,
+      count: deliveries.length,
+      ...(pagination && { pagination })
+    });
+  } catch (error) {
+    console.error('Error fetching webhook deliveries:', error);
+    res.status(500).send({ 
+      success: false,
+      error: 'Failed to fetch webhook deliveries' 
+    });
+  }
+});
+
+// Send a delivery again from scratch, e.g. after fixing the receiver
+app.post('/webhooks/:id/deliveries/:deliveryId/redeliver', checkMongoConnection, verifyAuth, async (req, res) => {
+  try {
+    const webhook = await findWebhook(req, res);
+    if (!webhook) return;
+
+    const deliveryId = req.params.deliveryId;
+    if (!ObjectId.isValid(deliveryId)) {
+      return res.status(400).send({ 
+        success: false,
+        error: 'Invalid delivery ID' 
+      });
+    }
+
+    const delivery = await webhookDeliveriesCollection.findOneAndUpdate(
+      { _id: new ObjectId(deliveryId), webhookId: webhook._id, status: { $ne: 'sending' } },
+      { $set: { status: 'pending', attempts: 0, nextAttemptAt: new Date() } },
+      { returnDocument: 'after' }
+    );
+
+    if (!delivery) {
+      return res.status(404).send({ 
+        success: false,
+        error: 'Delivery not found or being sent' 
+      });
+    }
+
+    res.send({
+      success: true,
+      message: 'Delivery queued',
+      data: delivery
+    });
+  } catch (error) {
+    console.error('Error redelivering webhook:', error);
+    res.status(500).send({ 
+      success: false,
+      error: 'Failed to queue delivery' 
+    });
+  }
+});
+
+// ---------------------------------------------------------------------------
+// Currency rates
+// ---------------------------------------------------------------------------
+
+// Rates used for ?currency= conversions: units of each currency per 1 base
+app.get('/currency-rates', checkMongoConnection, async (req, res) => {
+  try {
+    const { table, source } = await getRates();
+
+    if (!table) {
+      return res.status(404).send({ 
+        success: false,
+        error: 'No exchange rates configured' 
+      });
+    }
+
+    res.send({
+      success: true,
+      data: { ...serializeRates(table), source }
+    });
+  } catch (error) {
+    console.error('Error fetching currency rates:', error);
+    res.status(500).send({ 
+      success: false,
+      error: 'Failed to fetch currency rates' 
+    });
+  }
+});
+
+// ---------------------------------------------------------------------------
+// Admin routes
+// ---------------------------------------------------------------------------
+
+app.get('/admin/users', checkMongoConnection, verifyAuth, verifyRole('admin'), validateCursor, async (req, res) => {
+  try {
+    const query = {};
+    if (req.query.role) query.role = String(req.query.role);
+
+    const { data: users, pagination } = await listPage(req, usersCollection, query, {
+      field: 'createdAt',
+      direction: -1,
+      projection: { password: 0 }
+    });
+
+    res.send({
+      success: true,
+      data: users,
+      count: users.length,
+      ...(pagination && { pagination })
+    });
+  } catch (error) {
+    console.error('Error fetching users:', error);
+    res.status(500).send({ 
+      success: false,
+      error: 'Failed to fetch users' 
+    });
+  }
+});
+
+app.patch('/admin/users/:email/role', checkMongoConnection, verifyAuth, verifyRole('admin'), async (req, res) => {
+  try {
+    const email = req.params.email;
+    const { role } = req.body || {};
+
+    if (!ROLES.includes(role)) {
+      return res.status(400).send({ 
+        success: false,
+        error: `Role must be one of: ${ROLES.join(', ')}` 
+      });
+    }
+
+    // Prevent an admin from locking themselves out
+    if (isOwner(req, email)) {
+      return res.status(400).send({ 
+        success: false,
+        error: 'You cannot change your own role' 
+      });
+    }
+
+    const result = await usersCollection.updateOne(
+      { email },
+      { $set: { role, updatedAt: new Date() } }
+    );
+
+    if (result.matchedCount === 0) {
+      return res.status(404).send({ success: false, error: 'User not found' });
+    }
+
+    console.log(`👑 ${req.user.email} changed role of ${email} to ${role}`);
+    res.send({
+      success: true,
+      message: 'Role updated successfully',
+      data: { email, role }
     });
   } catch (error) {
-    console.error('Error fetching products by category:', error);
+    console.error('Error updating role:', error);
     res.status(500).send({ 
       success: false,
-      error: 'Failed to fetch products by category' 
+      error: 'Failed to update role' 
     });
   }
 });
 
-app.get('/products/:id', checkMongoConnection, async (req, res) => {
+// Force delete - removes the product even when imports reference it.
+// Existing imports keep their own copy of the product details.
+app.delete('/admin/products/:id', checkMongoConnection, verifyAuth, verifyRole('admin'), async (req, res) => {
   try {
     const id = req.params.id;
-    console.log('📦 Fetching product with ID:', id);
     
     if (!ObjectId.isValid(id)) {
-      console.log('❌ Invalid ObjectId format:', id);
       return res.status(400).send({ 
         success: false,
         error: 'Invalid product ID' 
       });
     }
 
-    const product = await productsCollection.findOne({ _id: new ObjectId(id) });
+    const product = await productsCollection.findOneAndDelete({ _id: new ObjectId(id) });
+    invalidateSearchIndex();
 
     if (!product) {
-      console.log('❌ Product not found with ID:', id);
       return res.status(404).send({ 
         success: false,
         error: 'Product not found' 
       });
     }
 
-    console.log('✅ Product found:', product.productName);
+    const importCount = await importsCollection.countDocuments({ productId: id });
+    await removeProductImages(imageStorage, [product]);
+
+    await queueWebhookEvent('product.deleted', [product.userEmail], { product, archived: false });
+
+    notifyProductChange(product, req, {
+      type: 'product.deleted',
+      title: `${product.productName} was deleted`,
+      message: 'An administrator deleted this product. Your imports of it are kept.'
+    });
+
+    console.log(`✅ Product ${id} force deleted by ${req.user.email} (${importCount} imports kept)`);
     res.send({
       success: true,
-      data: product
+      message: 'Product deleted successfully',
+      importCount
     });
   } catch (error) {
-    console.error('Error fetching product:', error);
+    console.error('Error force deleting product:', error);
     res.status(500).send({ 
       success: false,
-      error: 'Failed to fetch product' 
+      error: 'Failed to delete product' 
     });
   }
 });
 
-app.post('/products', checkMongoConnection, async (req, res) => {
+// Hard delete products archived more than ?olderThanDays= days ago
+// (default ARCHIVE_RETENTION_DAYS). ?dryRun=true only counts them.
+app.post('/admin/products/purge', checkMongoConnection, verifyAuth, verifyRole('admin'), async (req, res) => {
   try {
-    const { 
-      productName, 
-      productImage, 
-      price, 
-      originCountry, 
-      rating, 
-      availableQuantity,
-      userEmail,
-      userName 
-    } = req.body;
+    const days = req.query.olderThanDays !== undefined ? parseInt(req.query.olderThanDays) : ARCHIVE_RETENTION_DAYS;
 
-    if (!productName || !productImage || !price || !originCountry || !rating || !availableQuantity || !userEmail) {
+    if (isNaN(days) || days < 0) {
       return res.status(400).send({ 
         success: false,
-        error: 'All fields are required' 
+        error: 'olderThanDays must be a non-negative number' 
       });
     }
 
-    const product = {
-      productName,
-      productImage,
-      price: parseFloat(price),
-      originCountry,
-      rating: parseFloat(rating),
-      availableQuantity: parseInt(availableQuantity),
-      userEmail,
-      userName: userName || 'Anonymous',
-      createdAt: new Date(),
-      updatedAt: new Date()
-    };
-
-    const result = await productsCollection.insertOne(product);
+    const result = await purgeArchivedProducts({
+      products: productsCollection,
+      imports: importsCollection,
+      storage: imageStorage,
+      days,
+      dryRun: req.query.dryRun === 'true'
+    });
 
-    res.status(201).send({
+    console.log(`🧹 Archived products purge by ${req.user.email}:`, result);
+    res.send({
       success: true,
-      message: 'Product added successfully',
-      data: { ...product, _id: result.insertedId }
+      data: result
     });
   } catch (error) {
-    console.error('Error creating product:', error);
+    console.error('Error purging archived products:', error);
     res.status(500).send({ 
       success: false,
-      error: 'Failed to create product' 
+      error: 'Failed to purge archived products' 
     });
   }
 });
 
-app.get('/exports/:email', checkMongoConnection, async (req, res) => {
+// Send up to ?limit= due webhook deliveries now, for an admin or the cron job
+const processWebhookQueue = async (req, res) => {
   try {
-    const email = req.params.email;
-    
-    const products = await productsCollection
-      .find({ userEmail: email })
-      .sort({ createdAt: -1 })
-      .toArray();
+    const limit = parseLimit(req.query.limit, 20);
+    const counts = await processQueue({
+      deliveries: webhookDeliveriesCollection,
+      webhooks: webhooksCollection,
+      limit
+    });
 
     res.send({
       success: true,
-      data: products,
-      count: products.length
+      data: counts
     });
   } catch (error) {
-    console.error('Error fetching user products:', error);
+    console.error('Error processing webhook deliveries:', error);
     res.status(500).send({ 
       success: false,
-      error: 'Failed to fetch user products' 
+      error: 'Failed to process webhook deliveries' 
     });
   }
-});
+};
+
+app.post('/admin/webhooks/process', checkMongoConnection, verifyAuth, verifyRole('admin'), processWebhookQueue);
+
+// Vercel Cron sends Authorization: Bearer <CRON_SECRET>. Both sides are
+// hashed so the comparison takes the same time whatever the length.
+const verifyCronSecret = (req, res, next) => {
+  const secret = process.env.CRON_SECRET;
+  const digest = (value) => crypto.createHash('sha256').update(String(value)).digest();
+
+  if (!secret || !crypto.timingSafeEqual(digest(getBearerToken(req) || ''), digest(secret))) {
+    return res.status(401).send({ 
+      success: false,
+      error: 'Invalid cron secret' 
+    });
+  }
+  next();
+};
+
+// Serverless instances don't run the background worker, so on Vercel the
+// queue is drained by the cron job in vercel.json calling this every minute
+app.get('/cron/webhooks', checkMongoConnection, verifyCronSecret, processWebhookQueue);
 
-app.put('/products/:id', checkMongoConnection, async (req, res) => {
+// Replace the exchange rates: { base: 'USD', rates: { EUR: 0.92, ... } }.
+// Rates are stored as decimal strings so they keep their exact value.
+app.put('/admin/currency-rates', checkMongoConnection, verifyAuth, verifyRole('admin'), async (req, res) => {
   try {
-    const id = req.params.id;
-    
-    if (!ObjectId.isValid(id)) {
+    let table;
+    try {
+      table = parseRates({ base: req.body.base, rates: req.body.rates });
+    } catch (error) {
       return res.status(400).send({ 
         success: false,
-        error: 'Invalid product ID' 
+        error: error.message 
       });
     }
 
-    const { 
-      productName, 
-      productImage, 
-      price, 
-      originCountry, 
-      rating, 
-      availableQuantity 
-    } = req.body;
-
-    const updateDoc = {
-      $set: {
-        ...(productName && { productName }),
-        ...(productImage && { productImage }),
-        ...(price && { price: parseFloat(price) }),
-        ...(originCountry && { originCountry }),
-        ...(rating && { rating: parseFloat(rating) }),
-        ...(availableQuantity !== undefined && { availableQuantity: parseInt(availableQuantity) }),
-        updatedAt: new Date()
-      }
-    };
+    const doc = { ...serializeRates(table), updatedBy: req.user.email };
+    await currencyRatesCollection.replaceOne({ _id: 'current' }, doc, { upsert: true });
+    invalidateRates();
+    const repriced = await refreshReferencePrices();
 
-    const result = await productsCollection.updateOne(
-      { _id: new ObjectId(id) },
-      updateDoc
-    );
+    console.log(`💱 Exchange rates (base ${table.base}) updated by ${req.user.email}, ${repriced} products repriced`);
+    res.send({
+      success: true,
+      data: { ...doc, source: 'admin' }
+    });
+  } catch (error) {
+    console.error('Error updating currency rates:', error);
+    res.status(500).send({ 
+      success: false,
+      error: 'Failed to update currency rates' 
+    });
+  }
+});
 
-    if (result.matchedCount === 0) {
-      return res.status(404).send({ 
-        success: false,
-        error: 'Product not found' 
-      });
-    }
+// Drop the saved rates and go back to RATES_FILE
+app.delete('/admin/currency-rates', checkMongoConnection, verifyAuth, verifyRole('admin'), async (req, res) => {
+  try {
+    const result = await currencyRatesCollection.deleteOne({ _id: 'current' });
+    invalidateRates();
+    await refreshReferencePrices();
 
     res.send({
       success: true,
-      message: 'Product updated successfully',
-      modifiedCount: result.modifiedCount
+      message: result.deletedCount ? 'Saved rates removed, using the rates file' : 'No saved rates, already using the rates file'
     });
   } catch (error) {
-    console.error('Error updating product:', error);
+    console.error('Error removing currency rates:', error);
     res.status(500).send({ 
       success: false,
-      error: 'Failed to update product' 
+      error: 'Failed to remove currency rates' 
     });
   }
 });
 
-app.delete('/products/:id', checkMongoConnection, async (req, res) => {
+// Moderation queue: ?status=visible|hidden, newest first
+app.get('/admin/reviews', checkMongoConnection, verifyAuth, verifyRole('admin', 'moderator'), validateCursor, async (req, res) => {
   try {
-    const id = req.params.id;
-    
-    if (!ObjectId.isValid(id)) {
-      return res.status(400).send({ 
-        success: false,
-        error: 'Invalid product ID' 
-      });
-    }
+    const query = req.query.status ? { status: String(req.query.status) } : {};
 
-    const importCount = await importsCollection.countDocuments({ 
-      productId: id 
+    const { data: reviews, pagination } = await listPage(req, reviewsCollection, query, {
+      field: 'createdAt',
+      direction: -1
+    });
+
+    res.send({
+      success: true,
+      data: reviews,
+      count: reviews.length,
+      ...(pagination && { pagination })
     });
+  } catch (error) {
+    console.error('Error fetching reviews for moderation:', error);
+    res.status(500).send({ 
+      success: false,
+      error: 'Failed to fetch reviews' 
+    });
+  }
+});
+
+// Hide or show a review. Hidden reviews stop counting towards the rating.
+app.patch('/admin/reviews/:reviewId', checkMongoConnection, verifyAuth, verifyRole('admin', 'moderator'), validateBody(schemas.reviewModeration), async (req, res) => {
+  try {
+    const reviewId = req.params.reviewId;
 
-    if (importCount > 0) {
-      console.log(`❌ Cannot delete product ${id}: ${importCount} user(s) have imported it`);
+    if (!ObjectId.isValid(reviewId)) {
       return res.status(400).send({ 
         success: false,
-        error: `Cannot delete this product. ${importCount} user(s) have imported it. Products with active imports cannot be deleted.`
+        error: 'Invalid review ID' 
       });
     }
 
-    const result = await productsCollection.deleteOne({ _id: new ObjectId(id) });
+    const { status, reason } = req.body;
+    const review = await reviewsCollection.findOneAndUpdate(
+      { _id: new ObjectId(reviewId) },
+      {
+        $set: {
+          status,
+          moderation: { by: req.user.email, at: new Date(), ...(reason && { reason }) },
+          updatedAt: new Date()
+        }
+      },
+      { returnDocument: 'after' }
+    );
 
-    if (result.deletedCount === 0) {
+    if (!review) {
       return res.status(404).send({ 
         success: false,
-        error: 'Product not found' 
+        error: 'Review not found' 
       });
     }
 
-    console.log(`✅ Product ${id} deleted successfully`);
+    const summary = await refreshProductRating(review.productId);
+
+    console.log(`🛡️ Review ${reviewId} set to ${status} by ${req.user.email}`);
     res.send({
       success: true,
-      message: 'Product deleted successfully'
+      message: 'Review moderated successfully',
+      data: review,
+      product: summary
     });
   } catch (error) {
-    console.error('Error deleting product:', error);
+    console.error('Error moderating review:', error);
     res.status(500).send({ 
       success: false,
-      error: 'Failed to delete product' 
+      error: 'Failed to moderate review' 
     });
   }
 });
 
-app.post('/imports', checkMongoConnection, async (req, res) => {
+app.post('/admin/categories', checkMongoConnection, verifyAuth, verifyRole('admin'), validateBody(schemas.category), async (req, res) => {
   try {
-    const {
-      productId,
-      productName,
-      productImage,
-      price,
-      rating,
-      originCountry,
-      importedQuantity,
-      userEmail,
-      userName
-    } = req.body;
+    const { name, parent } = req.body;
+    const slug = req.body.slug || slugify(name);
 
-    if (!productId || !productName || !userEmail || !importedQuantity) {
-      return res.status(400).send({ 
-        success: false,
-        error: 'Required fields missing' 
-      });
+    if (!slug) {
+      return sendValidationError(res, [{ field: 'slug', message: 'could not be derived from name' }]);
     }
 
-    const product = await productsCollection.findOne({ _id: new ObjectId(productId) });
-    
-    if (!product) {
-      return res.status(404).send({ 
-        success: false,
-        error: 'Product not found' 
-      });
+    if (parent && !(await categoriesCollection.findOne({ slug: parent }))) {
+      return sendValidationError(res, [{ field: 'parent', message: 'is not a known category' }]);
     }
 
-    if (product.availableQuantity < parseInt(importedQuantity)) {
-      return res.status(400).send({ 
+    if (await categoriesCollection.findOne({ slug })) {
+      return res.status(409).send({ 
         success: false,
-        error: 'Insufficient quantity available' 
+        error: 'A category with this slug already exists' 
       });
     }
 
-    const existingImport = await importsCollection.findOne({
-      productId: productId,
-      userEmail: userEmail
-    });
-
-    let finalImportId;
-    if (existingImport) {
-      await importsCollection.updateOne(
-        { _id: existingImport._id },
-        { 
-          $inc: { importedQuantity: parseInt(importedQuantity) },
-          $set: { updatedAt: new Date() }
-        }
-      );
-      finalImportId = existingImport._id;
-    } else {
-      const importData = {
-        productId,
-        productName,
-        productImage,
-        price: parseFloat(price),
-        rating: parseFloat(rating),
-        originCountry,
-        importedQuantity: parseInt(importedQuantity),
-        userEmail,
-        userName: userName || 'Anonymous',
-        createdAt: new Date(),
-        updatedAt: new Date()
-      };
-
-      const result = await importsCollection.insertOne(importData);
-      finalImportId = result.insertedId;
-    }
+    const category = {
+      slug,
+      name,
+      parent: parent || null,
+      createdAt: new Date(),
+      updatedAt: new Date()
+    };
 
-    await productsCollection.updateOne(
-      { _id: new ObjectId(productId) },
-      { 
-        $inc: { availableQuantity: -parseInt(importedQuantity) },
-        $set: { updatedAt: new Date() }
-      }
-    );
+    const result = await categoriesCollection.insertOne(category);
 
     res.status(201).send({
       success: true,
-      importId: finalImportId,
-      message: 'Product imported successfully'
+      message: 'Category created successfully',
+      data: { ...category, _id: result.insertedId }
     });
   } catch (error) {
-    console.error('Error importing product:', error);
+    console.error('Error creating category:', error);
     res.status(500).send({ 
       success: false,
-      error: 'Failed to import product' 
+      error: 'Failed to create category' 
     });
   }
 });
 
-app.get('/dashboard/stats/:email', checkMongoConnection, async (req, res) => {
+app.put('/admin/categories/:slug', checkMongoConnection, verifyAuth, verifyRole('admin'), validateBody(schemas.category, { partial: true }), async (req, res) => {
   try {
-    const email = req.params.email;
-    
-    // 1. Total Exports (Products added by user)
-    const totalExports = await productsCollection.countDocuments({ userEmail: email });
-    
-    // 2. Total Imports (Items bought by user)
-    const imports = await importsCollection.find({ userEmail: email }).toArray();
-    const totalImports = imports.reduce((sum, item) => sum + (item.importedQuantity || 0), 0);
-    const totalSpent = imports.reduce((sum, item) => sum + ((item.price || 0) * (item.importedQuantity || 0)), 0);
-
-    // 3. Category Distribution (for Pie Chart) - based on their exports
-    const userProducts = await productsCollection.find({ userEmail: email }).toArray();
-    const categoryMap = {};
-    
-    userProducts.forEach(p => {
-      const cat = p.category || 'Uncategorized';
-      categoryMap[cat] = (categoryMap[cat] || 0) + 1;
-    });
+    const slug = req.params.slug;
+    const { name, parent } = req.body;
 
-    const categoryData = Object.entries(categoryMap).map(([name, value]) => ({ name, value }));
+    const category = await categoriesCollection.findOne({ slug });
 
-    // 4. Activity Data (Mocked for now since we don't track daily history well)
-    const activityData = [
-      { name: 'Mon', exports: Math.floor(totalExports * 0.1), imports: Math.floor(totalImports * 0.1) },
-      { name: 'Tue', exports: Math.floor(totalExports * 0.2), imports: Math.floor(totalImports * 0.2) },
-      { name: 'Wed', exports: Math.floor(totalExports * 0.15), imports: Math.floor(totalImports * 0.3) },
-      { name: 'Thu', exports: Math.floor(totalExports * 0.25), imports: Math.floor(totalImports * 0.1) },
-      { name: 'Fri', exports: Math.floor(totalExports * 0.2), imports: Math.floor(totalImports * 0.2) },
-      { name: 'Sat', exports: Math.floor(totalExports * 0.05), imports: Math.floor(totalImports * 0.05) },
-      { name: 'Sun', exports: Math.floor(totalExports * 0.05), imports: Math.floor(totalImports * 0.05) },
-    ];
+    if (!category) {
+      return res.status(404).send({ 
+        success: false,
+        error: 'Category not found' 
+      });
+    }
 
-    res.send({
-      success: true,
-      stats: {
-        totalExports,
-        totalImports,
-        totalSpent,
-        totalEarned: 0 // Placeholder
-      },
-      charts: {
-        categoryData,
-        activityData
+    if (parent !== undefined) {
+      // Walk up from the new parent to make sure we don't create a cycle
+      let current = parent;
+      while (current) {
+        if (current === slug) {
+          return sendValidationError(res, [{ field: 'parent', message: 'would create a cycle' }]);
+        }
+        const ancestor = await categoriesCollection.findOne({ slug: current });
+        if (!ancestor) {
+          return sendValidationError(res, [{ field: 'parent', message: 'is not a known category' }]);
+        }
+        current = ancestor.parent;
       }
-    });
-
-  } catch (error) {
-    console.error('Error fetching dashboard stats:', error);
-    res.status(500).send({ 
-      success: false,
-      error: 'Failed to fetch dashboard stats' 
-    });
-  }
-});
+    }
 
-app.get('/imports/:email', checkMongoConnection, async (req, res) => {
-  try {
-    const email = req.params.email;
-    console.log('📥 Fetching imports for email:', email);
-    
-    const imports = await importsCollection
-      .find({ userEmail: email })
-      .sort({ createdAt: -1 })
-      .toArray();
+    await categoriesCollection.updateOne(
+      { slug },
+      {
+        $set: {
+          ...(name !== undefined && { name }),
+          ...(parent !== undefined && { parent }),
+          updatedAt: new Date()
+        }
+      }
+    );
 
-    console.log(`✅ Found ${imports.length} imports`);
-    imports.forEach((imp, index) => {
-      console.log(`Import ${index + 1}: productId = ${imp.productId}, productName = ${imp.productName}`);
-    });
+    // Products keep a copy of the display name
+    if (name !== undefined && name !== category.name) {
+      await productsCollection.updateMany({ categorySlug: slug }, { $set: { category: name } });
+      invalidateSearchIndex();
+    }
 
     res.send({
       success: true,
-      data: imports,
-      count: imports.length
+      message: 'Category updated successfully'
     });
   } catch (error) {
-    console.error('Error fetching imports:', error);
-    res.status(500).send({
+    console.error('Error updating category:', error);
+    res.status(500).send({ 
       success: false,
-      error: 'Failed to fetch imports'
+      error: 'Failed to update category' 
     });
   }
 });
 
-app.delete('/imports/:id', checkMongoConnection, async (req, res) => {
+app.delete('/admin/categories/:slug', checkMongoConnection, verifyAuth, verifyRole('admin'), async (req, res) => {
   try {
-    const id = req.params.id;
-    
-    if (!ObjectId.isValid(id)) {
-      return res.status(400).send({ 
+    const slug = req.params.slug;
+
+    const [productCount, childCount] = await Promise.all([
+      productsCollection.countDocuments({ categorySlug: slug }),
+      categoriesCollection.countDocuments({ parent: slug })
+    ]);
+
+    if (productCount > 0 || childCount > 0) {
+      return res.status(409).send({ 
         success: false,
-        error: 'Invalid import ID' 
+        error: `Cannot delete this category. It has ${productCount} product(s) and ${childCount} subcategories.`,
+        productCount,
+        childCount
       });
     }
 
-    const importData = await importsCollection.findOne({ _id: new ObjectId(id) });
-    
-    if (!importData) {
+    const result = await categoriesCollection.deleteOne({ slug });
+
+    if (result.deletedCount === 0) {
       return res.status(404).send({ 
         success: false,
-        error: 'Import not found' 
+        error: 'Category not found' 
       });
     }
 
-    await productsCollection.updateOne(
-      { _id: new ObjectId(importData.productId) },
-      { 
-        $inc: { availableQuantity: importData.importedQuantity },
-        $set: { updatedAt: new Date() }
-      }
-    );
-
-    const result = await importsCollection.deleteOne({ _id: new ObjectId(id) });
-
     res.send({
       success: true,
-      message: 'Import removed successfully'
+      message: 'Category deleted successfully'
     });
   } catch (error) {
-    console.error('Error removing import:', error);
+    console.error('Error deleting category:', error);
     res.status(500).send({ 
       success: false,
-      error: 'Failed to remove import' 
+      error: 'Failed to delete category' 
     });
   }
 });
 
 app.get('/stats', checkMongoConnection, async (req, res) => {
   try {
-    const totalProducts = await productsCollection.countDocuments();
+    const totalProducts = await productsCollection.countDocuments(listedProducts(PUBLIC_STATUSES));
     const totalImports = await importsCollection.countDocuments();
 
     res.send({
@@ -999,10 +4802,10 @@ app.get('/stats', checkMongoConnection, async (req, res) => {
 
 app.get('/products/featured/latest', checkMongoConnection, async (req, res) => {
   try {
-    const limit = parseInt(req.query.limit) || 6;
+    const limit = parseLimit(req.query.limit, 6);
     
     const products = await productsCollection
-      .find({})
+      .find(listedProducts())
       .sort({ createdAt: -1 })
       .limit(limit)
       .toArray();
@@ -1024,8 +4827,9 @@ app.get('/products/featured/latest', checkMongoConnection, async (req, res) => {
 // MongoDB will connect automatically when first request comes
 // connectToMongoDB(); // Disabled - using lazy connection
 
-// Start server only if not in Vercel serverless environment
-if (process.env.NODE_ENV !== 'production') {
+// Start server only if not in Vercel serverless environment, and only when
+// run directly - tests require the app and listen themselves
+if (process.env.NODE_ENV !== 'production' && require.main === module) {
   app.listen(port, () => {
     console.log(`\n🚀 Server is running on port: ${port}`);
     console.log(`📍 Local: http://localhost:${port}`);
@@ -1034,24 +4838,70 @@ if (process.env.NODE_ENV !== 'production') {
     console.log(`\n   👤 Authentication:`);
     console.log(`   POST   /users                     - Register user`);
     console.log(`   POST   /login                     - Login user`);
-    console.log(`   GET    /users                     - All users`);
+    console.log(`   POST   /auth/firebase             - Login with Firebase ID token`);
+    console.log(`   POST   /token/refresh             - Refresh access token`);
+    console.log(`   POST   /logout                    - Revoke session`);
+    console.log(`   GET    /me                        - Current user`);
+    console.log(`   GET    /users                     - All users (admin)`);
     console.log(`   GET    /users/:email              - Get user by email`);
+    console.log(`   GET    /users/:email/wishlist     - Wishlist`);
+    console.log(`   POST   /users/:email/wishlist     - Add to wishlist / notify me`);
     console.log(`\n   📦 Products:`);
     console.log(`   GET    /products/latest           - Latest 6 products`);
     console.log(`   GET    /products                  - All products`);
+    console.log(`   GET    /products/suggest          - Search autocomplete`);
     console.log(`   GET    /products/:id              - Single product`);
     console.log(`   POST   /products                  - Add new product`);
+    console.log(`   POST   /products/bulk             - Add products from CSV/JSON`);
     console.log(`   PUT    /products/:id              - Update product`);
-    console.log(`   DELETE /products/:id              - Delete product`);
+    console.log(`   DELETE /products/:id              - Archive product`);
+    console.log(`   POST   /products/:id/restore      - Restore archived product`);
+    console.log(`   POST   /products/:id/images       - Upload product images`);
+    console.log(`   GET    /products/:id/reviews      - Product reviews`);
+    console.log(`   POST   /products/:id/reviews      - Review a bought product`);
     console.log(`\n   🔄 Exports & Imports:`);
     console.log(`   GET    /exports/:email            - My exports`);
+    console.log(`   GET    /exports/:email/analytics  - Sales per product`);
+    console.log(`   GET    /exports/:email/download   - Download catalog (CSV/JSON)`);
     console.log(`   GET    /imports/:email            - My imports`);
+    console.log(`   GET    /imports/:email/report     - Statement (CSV/PDF)`);
     console.log(`   POST   /imports                   - Import product`);
+    console.log(`   PATCH  /imports/:id               - Return part of / add to an import`);
     console.log(`   DELETE /imports/:id               - Remove import`);
-    console.log(`   GET    /stats                     - Statistics\n`);
+    console.log(`   GET    /orders/:email             - Order ledger`);
+    console.log(`   GET    /stats                     - Statistics`);
+    console.log(`   GET    /currency-rates            - Exchange rates`);
+    console.log(`\n   🔔 Notifications:`);
+    console.log(`   GET    /notifications             - My notifications + unread count`);
+    console.log(`   POST   /notifications/stream-token - Token for the live stream`);
+    console.log(`   GET    /notifications/stream      - Live updates (SSE)`);
+    console.log(`   PATCH  /notifications/:id/read    - Mark one read`);
+    console.log(`   POST   /notifications/read-all    - Mark all read`);
+    console.log(`\n   🪝 Webhooks:`);
+    console.log(`   GET    /webhooks                  - My webhooks`);
+    console.log(`   POST   /webhooks                  - Register a webhook`);
+    console.log(`   GET    /webhooks/:id/deliveries   - Delivery log`);
+    console.log(`   GET    /cron/webhooks             - Drain the queue (Vercel Cron)`);
+    console.log(`\n   👑 Admin:`);
+    console.log(`   GET    /admin/users               - All users`);
+    console.log(`   PATCH  /admin/users/:email/role   - Change user role`);
+    console.log(`   DELETE /admin/products/:id        - Force delete product`);
+    console.log(`   POST   /admin/products/purge      - Purge old archived products`);
+    console.log(`   GET    /admin/reviews             - Reviews to moderate`);
+    console.log(`   PATCH  /admin/reviews/:reviewId   - Hide or show a review`);
+    console.log(`   POST   /admin/webhooks/process    - Send due webhook deliveries`);
+    console.log(`   PUT    /admin/currency-rates      - Replace exchange rates`);
+    console.log(`   POST   /admin/categories          - Create category`);
+    console.log(`   PUT    /admin/categories/:slug    - Update category`);
+    console.log(`   DELETE /admin/categories/:slug    - Delete category\n`);
     
     // Connect to MongoDB immediately for local dev
     connectToMongoDB();
+
+    // Send queued webhook deliveries in the background
+    startWebhookWorker(() => webhookDeliveriesCollection
+      ? { deliveries: webhookDeliveriesCollection, webhooks: webhooksCollection }
+      : null, parseInt(process.env.WEBHOOK_POLL_INTERVAL) || 5000);
   });
 }
 
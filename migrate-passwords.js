@@ -0,0 +1,53 @@
+require('dotenv').config();
+const { MongoClient } = require('mongodb');
+const { hashPassword, isPasswordHashed } = require('./password');
+
+const uri = process.env.MONGODB_URI || "mongodb://127.0.0.1:27017";
+const client = new MongoClient(uri);
+
+// Usage:
+//   node migrate-passwords.js         -> report accounts still storing plaintext
+//   node migrate-passwords.js --fix   -> hash them in place
+const shouldFix = process.argv.includes('--fix');
+
+async function migratePasswords() {
+  try {
+    console.log('🔄 Connecting to MongoDB...');
+    await client.connect();
+    console.log('✅ Connected.');
+
+    const db = client.db("exportHub");
+    const users = db.collection("users");
+
+    const accounts = await users
+      .find({ password: { $exists: true, $ne: null } })
+      .project({ email: 1, password: 1 })
+      .toArray();
+
+    const unhashed = accounts.filter(u => !isPasswordHashed(u.password));
+
+    console.log(`found ${accounts.length} password accounts, ${unhashed.length} still unhashed.`);
+    unhashed.forEach(u => console.log(`  - ${u.email}`));
+
+    if (!shouldFix || unhashed.length === 0) return;
+
+    let fixedCount = 0;
+    for (const u of unhashed) {
+      await users.updateOne(
+        { _id: u._id, password: u.password },
+        { $set: { password: await hashPassword(String(u.password)), updatedAt: new Date() } }
+      );
+      fixedCount++;
+      process.stdout.write('.');
+    }
+
+    console.log(`\n✅ Hashed passwords for ${fixedCount} accounts.`);
+
+  } catch (error) {
+    console.error('❌ Error:', error);
+  } finally {
+    await client.close();
+  }
+}
+
+migratePasswords();
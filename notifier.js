@@ -0,0 +1,59 @@
+// Pluggable notification delivery. A notification is
+//   { userEmail, type, title, message, data }
+// and every channel implements send(notification). NOTIFIERS picks the
+// channels, comma separated (default "inapp,email-log"):
+//   inapp      stores it in the notifications collection for the app to show
+//   email-log  logs the email that would be sent - a stub until a mail
+//              provider is wired in
+
+// onCreate(doc) is called with each stored notification, e.g. to push it to
+// open event streams
+const createInAppChannel = ({ getNotifications, onCreate }) => ({
+  name: 'inapp',
+  send: async (notification) => {
+    const doc = {
+      ...notification,
+      read: false,
+      createdAt: new Date()
+    };
+    const result = await getNotifications().insertOne(doc);
+    if (onCreate) onCreate({ ...doc, _id: result.insertedId });
+  }
+});
+
+const createLogEmailChannel = () => ({
+  name: 'email-log',
+  send: async ({ userEmail, title, message }) => {
+    console.log(`📧 [email stub] To: ${userEmail} | Subject: ${title} | ${message}`);
+  }
+});
+
+const CHANNELS = {
+  inapp: createInAppChannel,
+  'email-log': createLogEmailChannel
+};
+
+// One failing channel doesn't keep the others from delivering
+const createNotifier = (channels) => ({
+  channels: channels.map(channel => channel.name),
+  notify: async (notification) => {
+    const results = await Promise.allSettled(channels.map(channel => channel.send(notification)));
+    results.forEach((result, index) => {
+      if (result.status === 'rejected') {
+        console.error(`❌ Notifier ${channels[index].name} failed:`, result.reason);
+      }
+    });
+  }
+});
+
+// options are passed to every channel factory, e.g. { getNotifications, onCreate }
+const createNotifierFromEnv = (env = process.env, options = {}) => {
+  const names = (env.NOTIFIERS || 'inapp,email-log').split(',').map(name => name.trim()).filter(Boolean);
+
+  return createNotifier(names.map(name => {
+    if (!CHANNELS[name]) throw new Error(`Unknown notifier channel: ${name}`);
+    return CHANNELS[name](options);
+  }));
+};
+
+module.exports = { createNotifier, createNotifierFromEnv, createInAppChannel, createLogEmailChannel };
@@ -0,0 +1,123 @@
+const { ObjectId } = require('mongodb');
+
+// Shared pagination helpers. Listing routes support two modes:
+//   ?page=2&limit=10   classic page mode (kept for existing clients)
+//   ?cursor=&limit=10  cursor mode - pass an empty cursor for the first page,
+//                      then the nextCursor of the previous response
+// Cursors are opaque base64url tokens of the last row's sort value and _id,
+// so inserts between requests never shift or repeat rows.
+
+const DEFAULT_LIMIT = 10;
+const MAX_LIMIT = 100;
+
+const parseLimit = (value, fallback = DEFAULT_LIMIT) => {
+  const limit = parseInt(value);
+  if (isNaN(limit) || limit < 1) return fallback;
+  return Math.min(limit, MAX_LIMIT);
+};
+
+const isCursorMode = (query) => query.cursor !== undefined;
+
+const encodeCursor = (value, id) => {
+  const v = value instanceof Date ? { d: value.toISOString() } : value;
+  return Buffer.from(JSON.stringify({ v, id: id.toString() })).toString('base64url');
+};
+
+// The sort value goes straight into a Mongo range filter, so only plain
+// values are accepted - an object like { $ne: null } would be an operator.
+// A row without the sort field encodes no value at all, read back as null.
+const decodeValue = (v) => {
+  if (v === undefined || v === null || typeof v === 'string') return v ?? null;
+  if (typeof v === 'number' && Number.isFinite(v)) return v;
+
+  if (v && typeof v === 'object' && !Array.isArray(v) && Object.keys(v).length === 1 && typeof v.d === 'string') {
+    const date = new Date(v.d);
+    if (!isNaN(date.getTime())) return date;
+  }
+  throw new Error('Invalid cursor');
+};
+
+// Returns { value, id } or null for an empty cursor; throws on a bad one
+const decodeCursor = (cursor) => {
+  if (!cursor) return null;
+
+  let parsed;
+  try {
+    parsed = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+  } catch (error) {
+    throw new Error('Invalid cursor');
+  }
+
+  if (!parsed || typeof parsed.id !== 'string') throw new Error('Invalid cursor');
+
+  const value = decodeValue(parsed.v);
+  const id = ObjectId.isValid(parsed.id) && parsed.id.length === 24 ? new ObjectId(parsed.id) : parsed.id;
+  return { value, id };
+};
+
+// Mongo filter selecting rows after the cursor for a { field: direction } sort
+const cursorFilter = (field, direction, cursor) => {
+  if (!cursor) return {};
+  const op = direction < 0 ? '$lt' : '$gt';
+  return {
+    $or: [
+      { [field]: { [op]: cursor.value } },
+      { [field]: cursor.value, _id: { [op]: cursor.id } }
+    ]
+  };
+};
+
+const cursorSort = (field, direction) => ({ [field]: direction, _id: direction });
+
+// Rows are fetched with limit + 1 to know whether another page exists
+const buildCursorPage = (rows, limit, field) => {
+  const hasMore = rows.length > limit;
+  const data = hasMore ? rows.slice(0, limit) : rows;
+  const last = data[data.length - 1];
+  return {
+    data,
+    pagination: {
+      limit,
+      hasMore,
+      nextCursor: hasMore && last ? encodeCursor(last[field], last._id) : null
+    }
+  };
+};
+
+// Runs a cursor-mode find: baseQuery is combined with the cursor position
+const findCursorPage = async (collection, baseQuery, { field, direction, limit, cursor, projection }) => {
+  const position = decodeCursor(cursor);
+  const filter = position ? { $and: [baseQuery, cursorFilter(field, direction, position)] } : baseQuery;
+
+  let find = collection.find(filter).sort(cursorSort(field, direction)).limit(limit + 1);
+  if (projection) find = find.project(projection);
+
+  return buildCursorPage(await find.toArray(), limit, field);
+};
+
+// Middleware: reject malformed cursors with a 400 before the route runs
+const validateCursor = (req, res, next) => {
+  try {
+    decodeCursor(req.query.cursor);
+    next();
+  } catch (error) {
+    res.status(400).send({
+      success: false,
+      error: 'Invalid cursor'
+    });
+  }
+};
+
+module.exports = {
+  DEFAULT_LIMIT,
+  MAX_LIMIT,
+  parseLimit,
+  isCursorMode,
+  encodeCursor,
+  decodeCursor,
+  cursorFilter,
+  cursorSort,
+  buildCursorPage,
+  findCursorPage,
+  validateCursor
+};
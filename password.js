@@ -0,0 +1,53 @@
+const crypto = require('crypto');
+
+// scrypt cost parameters - bump N when hardware gets faster, old hashes
+// are upgraded on the next successful login (see needsRehash)
+const SCRYPT_N = 16384;
+const SCRYPT_R = 8;
+const SCRYPT_P = 1;
+const KEY_LENGTH = 64;
+const SALT_LENGTH = 16;
+const HASH_PREFIX = 'scrypt';
+
+const scrypt = (password, salt, N, r, p) => new Promise((resolve, reject) => {
+  crypto.scrypt(password, salt, KEY_LENGTH, { N, r, p, maxmem: 128 * N * r * 2 }, (err, key) => {
+    if (err) return reject(err);
+    resolve(key);
+  });
+});
+
+// Stored format: scrypt$N$r$p$<salt base64>$<hash base64>
+const isPasswordHashed = (stored) => {
+  return typeof stored === 'string' && stored.startsWith(HASH_PREFIX + '$') && stored.split('$').length === 6;
+};
+
+const hashPassword = async (password) => {
+  const salt = crypto.randomBytes(SALT_LENGTH);
+  const key = await scrypt(String(password), salt, SCRYPT_N, SCRYPT_R, SCRYPT_P);
+  return [HASH_PREFIX, SCRYPT_N, SCRYPT_R, SCRYPT_P, salt.toString('base64'), key.toString('base64')].join('$');
+};
+
+const verifyPassword = async (password, stored) => {
+  if (typeof password !== 'string' || typeof stored !== 'string') return false;
+
+  // Legacy plaintext record - compare in constant time
+  if (!isPasswordHashed(stored)) {
+    const a = Buffer.from(password);
+    const b = Buffer.from(stored);
+    return a.length === b.length && crypto.timingSafeEqual(a, b);
+  }
+
+  const [, N, r, p, salt, hash] = stored.split('$');
+  const expected = Buffer.from(hash, 'base64');
+  const key = await scrypt(password, Buffer.from(salt, 'base64'), parseInt(N), parseInt(r), parseInt(p));
+  return key.length === expected.length && crypto.timingSafeEqual(key, expected);
+};
+
+// True for plaintext records and hashes made with weaker parameters
+const needsRehash = (stored) => {
+  if (!isPasswordHashed(stored)) return true;
+  const [, N, r, p] = stored.split('$');
+  return parseInt(N) < SCRYPT_N || parseInt(r) < SCRYPT_R || parseInt(p) < SCRYPT_P;
+};
+
+module.exports = { hashPassword, verifyPassword, isPasswordHashed, needsRehash };
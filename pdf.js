@@ -0,0 +1,95 @@
+// Minimal streaming PDF writer for plain text reports: one monospaced font,
+// A4 pages, lines added one at a time. Each page is written as soon as it is
+// full; the page tree and cross-reference table follow at the end.
+
+const PAGE_WIDTH = 595;
+const PAGE_HEIGHT = 842;
+const MARGIN = 40;
+const FONT_SIZE = 9;
+const LINE_HEIGHT = 12;
+const LINES_PER_PAGE = Math.floor((PAGE_HEIGHT - 2 * MARGIN) / LINE_HEIGHT);
+
+// Object numbers fixed up front so pages can reference them before they exist
+const CATALOG_ID = 1;
+const PAGES_ID = 2;
+const FONT_ID = 3;
+
+const escapeText = (text) => {
+  return String(text)
+    .replace(/[^\x20-\x7e]/g, '?') // Courier in WinAnsi covers printable ASCII safely
+    .replace(/\\/g, '\\\\')
+    .replace(/\(/g, '\\(')
+    .replace(/\)/g, '\\)');
+};
+
+// write: async (string) => void
+const createPdfWriter = (write) => {
+  const offsets = {};
+  const pageIds = [];
+  let position = 0;
+  let nextId = FONT_ID + 1;
+  let lines = [];
+  let started = false;
+
+  const emit = async (str) => {
+    position += Buffer.byteLength(str, 'latin1');
+    await write(Buffer.from(str, 'latin1'));
+  };
+
+  const writeObject = async (id, body) => {
+    offsets[id] = position;
+    await emit(`${id} 0 obj\n${body}\nendobj\n`);
+  };
+
+  const start = async () => {
+    started = true;
+    await emit('%PDF-1.4\n');
+    await writeObject(FONT_ID, '<< /Type /Font /Subtype /Type1 /BaseFont /Courier /Encoding /WinAnsiEncoding >>');
+  };
+
+  const flushPage = async () => {
+    if (!started) await start();
+
+    const content = [
+      'BT',
+      `/F1 ${FONT_SIZE} Tf`,
+      `${LINE_HEIGHT} TL`,
+      `${MARGIN} ${PAGE_HEIGHT - MARGIN} Td`,
+      ...lines.map(line => `(${escapeText(line)}) '`),
+      'ET'
+    ].join('\n');
+
+    const contentId = nextId++;
+    const pageId = nextId++;
+    await writeObject(contentId, `<< /Length ${Buffer.byteLength(content, 'latin1')} >>\nstream\n${content}\nendstream`);
+    await writeObject(pageId, `<< /Type /Page /Parent ${PAGES_ID} 0 R /MediaBox [0 0 ${PAGE_WIDTH} ${PAGE_HEIGHT}] ` +
+      `/Resources << /Font << /F1 ${FONT_ID} 0 R >> >> /Contents ${contentId} 0 R >>`);
+    pageIds.push(pageId);
+    lines = [];
+  };
+
+  const addLine = async (text = '') => {
+    lines.push(text);
+    if (lines.length >= LINES_PER_PAGE) await flushPage();
+  };
+
+  const end = async () => {
+    if (lines.length > 0 || pageIds.length === 0) await flushPage();
+
+    await writeObject(PAGES_ID, `<< /Type /Pages /Kids [${pageIds.map(id => `${id} 0 R`).join(' ')}] /Count ${pageIds.length} >>`);
+    await writeObject(CATALOG_ID, `<< /Type /Catalog /Pages ${PAGES_ID} 0 R >>`);
+
+    const size = nextId;
+    const xrefOffset = position;
+    let xref = `xref\n0 ${size}\n0000000000 65535 f \n`;
+    for (let id = 1; id < size; id++) {
+      xref += `${String(offsets[id] || 0).padStart(10, '0')} 00000 n \n`;
+    }
+    await emit(xref);
+    await emit(`trailer\n<< /Size ${size} /Root ${CATALOG_ID} 0 R >>\nstartxref\n${xrefOffset}\n%%EOF\n`);
+  };
+
+  return { addLine, end };
+};
+
+module.exports = { createPdfWriter };
@@ -0,0 +1,58 @@
+// Product lifecycle. Sellers move products between draft, published and
+// discontinued; out_of_stock is not set by hand - a published product is
+// stored as out_of_stock while it has no stock and flips back when stock
+// returns. Products created before statuses existed count as published.
+
+const STATUSES = ['draft', 'published', 'out_of_stock', 'discontinued'];
+const SETTABLE_STATUSES = ['draft', 'published', 'discontinued'];
+const DEFAULT_STATUS = 'published';
+
+// Statuses anyone may list (drafts are only visible to their owner), and the
+// ones public listings show when no ?status= is given
+const PUBLIC_STATUSES = ['published', 'out_of_stock', 'discontinued'];
+const LISTED_STATUSES = ['published', 'out_of_stock'];
+
+// status -> statuses a seller may move it to
+const TRANSITIONS = {
+  draft: ['published', 'discontinued'],
+  published: ['draft', 'discontinued'],
+  discontinued: ['draft', 'published']
+};
+
+// out_of_stock is published with no stock, so transitions treat them alike
+const baseStatus = (status) => {
+  if (!status || status === 'out_of_stock') return DEFAULT_STATUS;
+  return status;
+};
+
+const canTransition = (from, to) => {
+  const current = baseStatus(from);
+  const next = baseStatus(to);
+  return current === next || TRANSITIONS[current].includes(next);
+};
+
+// Status to store for a requested status at a given stock level
+const statusForStock = (status, availableQuantity) => {
+  const base = baseStatus(status);
+  if (base !== 'published') return base;
+  return availableQuantity > 0 ? 'published' : 'out_of_stock';
+};
+
+// Mongo filter for products in any of the statuses, counting a missing
+// status as published
+const statusQuery = (statuses) => ({
+  status: { $in: statuses.includes(DEFAULT_STATUS) ? [...statuses, null] : statuses }
+});
+
+module.exports = {
+  STATUSES,
+  SETTABLE_STATUSES,
+  DEFAULT_STATUS,
+  PUBLIC_STATUSES,
+  LISTED_STATUSES,
+  TRANSITIONS,
+  baseStatus,
+  canTransition,
+  statusForStock,
+  statusQuery
+};
@@ -0,0 +1,42 @@
+require('dotenv').config();
+const { MongoClient } = require('mongodb');
+const { createStorage } = require('./storage');
+const { ARCHIVE_RETENTION_DAYS, purgeArchivedProducts } = require('./purge');
+
+const uri = process.env.MONGODB_URI || "mongodb://127.0.0.1:27017";
+const client = new MongoClient(uri);
+
+// Usage: node purge-archived.js [days] [--dry-run]
+// Meant for a daily cron job. Deletes products archived more than `days`
+// (default ARCHIVE_RETENTION_DAYS) ago that nobody has imported.
+const args = process.argv.slice(2);
+const dryRun = args.includes('--dry-run');
+const dayArg = parseInt(args.find(arg => !arg.startsWith('--')));
+const days = Number.isNaN(dayArg) ? ARCHIVE_RETENTION_DAYS : dayArg;
+
+async function purgeArchived() {
+  try {
+    console.log('🔄 Connecting to MongoDB...');
+    await client.connect();
+    console.log('✅ Connected.');
+
+    const db = client.db("exportHub");
+    const result = await purgeArchivedProducts({
+      products: db.collection("products"),
+      imports: db.collection("imports"),
+      storage: createStorage(),
+      days,
+      dryRun
+    });
+
+    console.log(`${dryRun ? '🔍 Would purge' : '✅ Purged'} ${result.purged} products archived before ${result.cutoff.toISOString()} ` +
+      `(${result.keptWithImports} kept because they have imports).`);
+
+  } catch (error) {
+    console.error('❌ Error:', error);
+  } finally {
+    await client.close();
+  }
+}
+
+purgeArchived();
@@ -0,0 +1,40 @@
+// Hard deletes products archived more than `days` ago, together with their
+// stored images. Products that still have imports are kept so those imports
+// keep resolving. Used by POST /admin/products/purge and purge-archived.js.
+
+const ARCHIVE_RETENTION_DAYS = parseInt(process.env.ARCHIVE_RETENTION_DAYS) || 90;
+
+// Removes the stored files (images and thumbnails) of deleted products. A
+// missing file shouldn't stop the rest of the cleanup.
+const removeProductImages = (storage, products) => Promise.all(products
+  .flatMap(p => (p.images || []).flatMap(img => [img.key, img.thumbnailKey]))
+  .filter(Boolean)
+  .map(key => storage.remove(key).catch(error => console.error(`⚠️ Failed to remove ${key}:`, error.message))));
+
+const purgeArchivedProducts = async ({ products, imports, storage, days = ARCHIVE_RETENTION_DAYS, dryRun = false }) => {
+  const cutoff = new Date(Date.now() - days * 24 * 60 * 60 * 1000);
+  const candidates = await products
+    .find({ deletedAt: { $ne: null, $lte: cutoff } })
+    .project({ _id: 1, images: 1 })
+    .toArray();
+
+  const imported = new Set(await imports.distinct('productId', {
+    productId: { $in: candidates.map(p => p._id.toString()) }
+  }));
+  const purgeable = candidates.filter(p => !imported.has(p._id.toString()));
+
+  let purged = purgeable.length;
+  if (!dryRun && purgeable.length > 0) {
+    ({ deletedCount: purged } = await products.deleteMany({ _id: { $in: purgeable.map(p => p._id) }, deletedAt: { $ne: null, $lte: cutoff } }));
+    await removeProductImages(storage, purgeable);
+  }
+
+  return {
+    cutoff,
+    purged,
+    keptWithImports: candidates.length - purgeable.length,
+    dryRun
+  };
+};
+
+module.exports = { ARCHIVE_RETENTION_DAYS, purgeArchivedProducts, removeProductImages };
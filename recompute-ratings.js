@@ -0,0 +1,51 @@
+require('dotenv').config();
+const { MongoClient } = require('mongodb');
+
+const uri = process.env.MONGODB_URI || "mongodb://127.0.0.1:27017";
+const client = new MongoClient(uri);
+
+// Sets every product's rating and reviewCount from its visible reviews.
+// Products without reviews drop the rating their seller typed in to 0.
+// Safe to run more than once.
+async function recomputeRatings() {
+  try {
+    console.log('🔄 Connecting to MongoDB...');
+    await client.connect();
+    console.log('✅ Connected.');
+
+    const db = client.db("exportHub");
+    const products = db.collection("products");
+    const reviews = db.collection("reviews");
+
+    const stats = await reviews.aggregate([
+      { $match: { status: 'visible' } },
+      { $group: { _id: '$productId', average: { $avg: '$rating' }, count: { $sum: 1 } } }
+    ]).toArray();
+    const statsById = new Map(stats.map(s => [s._id, s]));
+
+    const allProducts = await products.find({}).project({ _id: 1, rating: 1, reviewCount: 1 }).toArray();
+    console.log(`found ${allProducts.length} products to check.`);
+
+    let updatedCount = 0;
+
+    for (const product of allProducts) {
+      const s = statsById.get(product._id.toString());
+      const rating = s ? Math.round(s.average * 10) / 10 : 0;
+      const reviewCount = s ? s.count : 0;
+
+      if (product.rating === rating && product.reviewCount === reviewCount) continue;
+
+      await products.updateOne({ _id: product._id }, { $set: { rating, reviewCount } });
+      updatedCount++;
+    }
+
+    console.log(`✅ Updated ratings of ${updatedCount} products.`);
+
+  } catch (error) {
+    console.error('❌ Error:', error);
+  } finally {
+    await client.close();
+  }
+}
+
+recomputeRatings();
@@ -0,0 +1,154 @@
+// Small in-memory inverted index for product search. Products are tokenized
+// per field with a weight; queries are scored by exact, prefix and fuzzy
+// (edit distance) term matches so small typos still find results.
+
+const FIELD_WEIGHTS = {
+  productName: 3,
+  category: 2,
+  originCountry: 2,
+  description: 1
+};
+
+const PREFIX_FACTOR = 0.6;
+const FUZZY_FACTOR = 0.5;
+const MIN_FUZZY_LENGTH = 4;
+
+const STOP_WORDS = new Set(['a', 'an', 'and', 'the', 'of', 'for', 'in', 'on', 'with', 'to', 'from', 'by']);
+
+const tokenize = (text) => {
+  if (!text) return [];
+  return String(text)
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .split(/[^a-z0-9]+/)
+    .filter(token => token && !STOP_WORDS.has(token));
+};
+
+// Edit distance counting a swap of neighbouring letters as one typo
+// (optimal string alignment), giving up early once it exceeds max
+const editDistance = (a, b, max) => {
+  if (Math.abs(a.length - b.length) > max) return max + 1;
+
+  let beforePrevious = null;
+  let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    let rowMin = i;
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+      if (beforePrevious && i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        current[j] = Math.min(current[j], beforePrevious[j - 2] + 1);
+      }
+      rowMin = Math.min(rowMin, current[j]);
+    }
+    if (rowMin > max) return max + 1;
+    beforePrevious = previous;
+    previous = current;
+  }
+  return previous[b.length];
+};
+
+const allowedTypos = (term) => {
+  if (term.length < MIN_FUZZY_LENGTH) return 0;
+  return term.length >= 8 ? 2 : 1;
+};
+
+// products: [{ _id, productName, originCountry, category, description }]
+const buildIndex = (products) => {
+  const terms = new Map(); // term -> Map(id -> weight)
+  const names = new Map(); // id -> productName
+
+  products.forEach(product => {
+    const id = product._id.toString();
+    names.set(id, product.productName || '');
+
+    Object.entries(FIELD_WEIGHTS).forEach(([field, weight]) => {
+      tokenize(product[field]).forEach(token => {
+        if (!terms.has(token)) terms.set(token, new Map());
+        const postings = terms.get(token);
+        postings.set(id, Math.max(postings.get(id) || 0, weight));
+      });
+    });
+  });
+
+  return { terms, names, size: products.length, builtAt: Date.now() };
+};
+
+// Terms of the index matching a query token, with a factor for how closely
+// they match
+const expandToken = (index, token, allowPrefix) => {
+  const matches = [];
+  const maxTypos = allowedTypos(token);
+
+  index.terms.forEach((postings, term) => {
+    if (term === token) {
+      matches.push({ term, factor: 1 });
+    } else if (allowPrefix && term.startsWith(token)) {
+      matches.push({ term, factor: PREFIX_FACTOR });
+    } else if (maxTypos > 0 && editDistance(token, term, maxTypos) <= maxTypos) {
+      matches.push({ term, factor: FUZZY_FACTOR });
+    }
+  });
+
+  return matches;
+};
+
+// Returns [{ id, score }] best first, all of them unless a limit is given.
+// Every query token must match something (exactly, as a prefix for the last
+// token, or fuzzily).
+const searchIndex = (index, query, { limit } = {}) => {
+  const tokens = tokenize(query);
+  if (tokens.length === 0) return [];
+
+  let scores = null;
+
+  tokens.forEach((token, position) => {
+    const tokenScores = new Map();
+    const isLast = position === tokens.length - 1;
+
+    expandToken(index, token, isLast).forEach(({ term, factor }) => {
+      index.terms.get(term).forEach((weight, id) => {
+        tokenScores.set(id, Math.max(tokenScores.get(id) || 0, weight * factor));
+      });
+    });
+
+    if (scores === null) {
+      scores = tokenScores;
+      return;
+    }
+
+    const combined = new Map();
+    scores.forEach((score, id) => {
+      if (tokenScores.has(id)) combined.set(id, score + tokenScores.get(id));
+    });
+    scores = combined;
+  });
+
+  return Array.from(scores.entries())
+    .map(([id, score]) => ({ id, score: Math.round(score * 100) / 100 }))
+    .sort((a, b) => b.score - a.score || a.id.localeCompare(b.id))
+    .slice(0, limit);
+};
+
+// Autocomplete: index terms starting with the prefix (most common first) and
+// product names that contain such a term
+const suggest = (index, prefix, { limit = 8 } = {}) => {
+  const tokens = tokenize(prefix);
+  if (tokens.length === 0) return { terms: [], products: [] };
+
+  const last = tokens[tokens.length - 1];
+  const terms = [];
+  index.terms.forEach((postings, term) => {
+    if (term.startsWith(last)) terms.push({ term, count: postings.size });
+  });
+  terms.sort((a, b) => b.count - a.count || a.term.localeCompare(b.term));
+
+  const products = searchIndex(index, prefix, { limit })
+    .map(({ id, score }) => ({ _id: id, productName: index.names.get(id), score }));
+
+  return { terms: terms.slice(0, limit).map(t => t.term), products };
+};
+
+module.exports = { tokenize, editDistance, buildIndex, searchIndex, suggest };
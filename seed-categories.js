@@ -0,0 +1,53 @@
+require('dotenv').config();
+const { MongoClient } = require('mongodb');
+const { slugify } = require('./slug');
+
+const uri = process.env.MONGODB_URI || "mongodb://127.0.0.1:27017";
+const client = new MongoClient(uri);
+
+// Adds every category name already used by products to the managed catalog
+// and stamps those products with the matching categorySlug.
+async function seedCategories() {
+  try {
+    console.log('🔄 Connecting to MongoDB...');
+    await client.connect();
+    console.log('✅ Connected.');
+
+    const db = client.db("exportHub");
+    const products = db.collection("products");
+    const categories = db.collection("categories");
+
+    const names = (await products.distinct("category")).filter(Boolean);
+    console.log(`found ${names.length} category names in products.`);
+
+    let createdCount = 0;
+    let taggedCount = 0;
+
+    for (const name of names) {
+      const slug = slugify(name);
+      if (!slug) continue;
+
+      const result = await categories.updateOne(
+        { slug },
+        { $setOnInsert: { slug, name, parent: null, createdAt: new Date(), updatedAt: new Date() } },
+        { upsert: true }
+      );
+      if (result.upsertedCount) createdCount++;
+
+      const tagged = await products.updateMany(
+        { category: name, categorySlug: { $exists: false } },
+        { $set: { categorySlug: slug } }
+      );
+      taggedCount += tagged.modifiedCount;
+    }
+
+    console.log(`✅ Created ${createdCount} categories, tagged ${taggedCount} products.`);
+
+  } catch (error) {
+    console.error('❌ Error:', error);
+  } finally {
+    await client.close();
+  }
+}
+
+seedCategories();
@@ -0,0 +1,42 @@
+require('dotenv').config();
+const { MongoClient } = require('mongodb');
+
+const uri = process.env.MONGODB_URI || "mongodb://127.0.0.1:27017";
+const client = new MongoClient(uri);
+
+const ROLES = ['user', 'moderator', 'admin'];
+
+// Usage: node set-role.js <email> <user|moderator|admin>
+// Needed to bootstrap the first admin, later ones can use PATCH /admin/users/:email/role
+const [email, role] = process.argv.slice(2);
+
+async function setRole() {
+  if (!email || !ROLES.includes(role)) {
+    console.log(`Usage: node set-role.js <email> <${ROLES.join('|')}>`);
+    return;
+  }
+
+  try {
+    await client.connect();
+    const db = client.db("exportHub");
+    const users = db.collection("users");
+
+    const result = await users.updateOne(
+      { email },
+      { $set: { role, updatedAt: new Date() } }
+    );
+
+    if (result.matchedCount === 0) {
+      console.log(`❌ User ${email} not found.`);
+    } else {
+      console.log(`✅ ${email} is now ${role}.`);
+    }
+
+  } catch (error) {
+    console.error('❌ Error:', error);
+  } finally {
+    await client.close();
+  }
+}
+
+setRole();
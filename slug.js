@@ -0,0 +1,11 @@
+// URL-safe category slugs: "Home & Garden" -> "home-and-garden"
+const slugify = (value) => {
+  return String(value)
+    .toLowerCase()
+    .trim()
+    .replace(/&/g, ' and ')
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '');
+};
+
+module.exports = { slugify };
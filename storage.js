@@ -0,0 +1,70 @@
+const fs = require('fs/promises');
+const path = require('path');
+
+// Pluggable file storage for uploaded images. Every driver implements
+//   put(key, buffer, contentType) -> public URL
+//   remove(key)
+// STORAGE_DRIVER=local (default) writes under UPLOAD_DIR and is served by
+// this app at PUBLIC_BASE_URL/uploads. The base URL comes from configuration
+// only, never from a request, and defaults to this machine's port.
+// STORAGE_DRIVER=s3 talks to any S3-compatible service (AWS, MinIO,
+// LocalStack...) configured through S3_* variables.
+
+const createLocalStorage = ({ dir, publicPath }) => ({
+  name: 'local',
+  dir,
+  put: async (key, buffer) => {
+    const file = path.join(dir, key);
+    await fs.mkdir(path.dirname(file), { recursive: true });
+    await fs.writeFile(file, buffer);
+    return `${publicPath}/${key}`;
+  },
+  remove: async (key) => {
+    await fs.rm(path.join(dir, key), { force: true });
+  }
+});
+
+const createS3Storage = ({ bucket, region, endpoint, accessKeyId, secretAccessKey, publicUrl }) => {
+  const { S3Client, PutObjectCommand, DeleteObjectCommand } = require('@aws-sdk/client-s3');
+
+  const client = new S3Client({
+    region,
+    ...(endpoint && { endpoint, forcePathStyle: true }),
+    ...(accessKeyId && { credentials: { accessKeyId, secretAccessKey } })
+  });
+
+  const baseUrl = publicUrl
+    || (endpoint ? `${endpoint.replace(/\/$/, '')}/${bucket}` : `https://${bucket}.s3.${region}.amazonaws.com`);
+
+  return {
+    name: 's3',
+    put: async (key, buffer, contentType) => {
+      await client.send(new PutObjectCommand({ Bucket: bucket, Key: key, Body: buffer, ContentType: contentType }));
+      return `${baseUrl}/${key}`;
+    },
+    remove: async (key) => {
+      await client.send(new DeleteObjectCommand({ Bucket: bucket, Key: key }));
+    }
+  };
+};
+
+const createStorage = (env = process.env) => {
+  if (env.STORAGE_DRIVER === 's3') {
+    if (!env.S3_BUCKET) throw new Error('S3_BUCKET is required for the s3 storage driver');
+    return createS3Storage({
+      bucket: env.S3_BUCKET,
+      region: env.S3_REGION || 'us-east-1',
+      endpoint: env.S3_ENDPOINT,
+      accessKeyId: env.S3_ACCESS_KEY_ID,
+      secretAccessKey: env.S3_SECRET_ACCESS_KEY,
+      publicUrl: env.S3_PUBLIC_URL
+    });
+  }
+
+  return createLocalStorage({
+    dir: path.resolve(env.UPLOAD_DIR || path.join(__dirname, 'uploads')),
+    publicPath: `${(env.PUBLIC_BASE_URL || `http://localhost:${env.PORT || 3000}`).replace(/\/+$/, '')}/uploads`
+  });
+};
+
+module.exports = { createStorage, createLocalStorage, createS3Storage };
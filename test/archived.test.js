@@ -0,0 +1,35 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { startApp } = require('./helpers/app');
+
+let ctx;
+let seller;
+
+before(async () => {
+  ctx = await startApp();
+  seller = await ctx.createUser('seller@example.com');
+});
+
+after(() => ctx.close());
+
+test('archived products cannot be edited or have their images changed', async () => {
+  const productId = await ctx.addProduct({
+    productName: 'Copper jug', price: 30, availableQuantity: 2, archived: true, deletedAt: new Date()
+  });
+
+  const update = await ctx.request('PUT', `/products/${productId}`, { token: seller, body: { price: 35 } });
+  const image = await ctx.request('DELETE', `/products/${productId}/images/000000000000000000000000`, { token: seller });
+
+  assert.strictEqual(update.status, 409);
+  assert.strictEqual(image.status, 409);
+  assert.strictEqual((await ctx.db.collection('products').findOne({})).price, 30);
+});
+
+test('archived products are left out of the export download', async () => {
+  await ctx.addProduct({ productName: 'Tin lantern' });
+
+  const { status, body } = await ctx.request('GET', '/exports/seller@example.com/download?format=json', { token: seller });
+
+  assert.strictEqual(status, 200);
+  assert.deepStrictEqual(body.map(p => p.productName), ['Tin lantern']);
+});
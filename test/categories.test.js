@@ -0,0 +1,66 @@
+const { test, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const { startApp } = require('./helpers/app');
+
+let ctx;
+let seller;
+let admin;
+
+before(async () => {
+  ctx = await startApp();
+  seller = await ctx.createUser('seller@example.com');
+  admin = await ctx.createUser('admin@example.com', 'admin');
+});
+
+after(() => ctx.close());
+
+beforeEach(async () => {
+  for (const name of ['products', 'categories']) {
+    await ctx.db.collection(name).deleteMany({});
+  }
+  await ctx.db.collection('categories').insertMany([
+    { slug: 'home', name: 'Home', parent: null },
+    { slug: 'home-and-garden', name: 'Home & Garden', parent: 'home' }
+  ]);
+});
+
+test('a category is found by a display name that slugifies to its slug', async () => {
+  const result = await ctx.request('POST', '/products', {
+    token: seller,
+    body: { productName: 'Planter', price: 15, originCountry: 'Kenya', availableQuantity: 4, category: 'Home & Garden' }
+  });
+
+  assert.strictEqual(result.status, 201, JSON.stringify(result.body));
+  const product = await ctx.db.collection('products').findOne({});
+  assert.strictEqual(product.category, 'Home & Garden');
+  assert.strictEqual(product.categorySlug, 'home-and-garden');
+});
+
+test('null clears a product category and a category parent', async () => {
+  const productId = await ctx.addProduct({
+    productName: 'Planter', category: 'Home & Garden', categorySlug: 'home-and-garden'
+  });
+
+  const product = await ctx.request('PUT', `/products/${productId}`, { token: seller, body: { category: null } });
+  const category = await ctx.request('PUT', '/admin/categories/home-and-garden', { token: admin, body: { parent: null } });
+
+  assert.strictEqual(product.status, 200, JSON.stringify(product.body));
+  assert.strictEqual(category.status, 200, JSON.stringify(category.body));
+  const stored = await ctx.db.collection('products').findOne({});
+  assert.strictEqual(stored.category, null);
+  assert.strictEqual(stored.categorySlug, null);
+  assert.strictEqual((await ctx.db.collection('categories').findOne({ slug: 'home-and-garden' })).parent, null);
+});
+
+test('a category page lists only products in that exact category', async () => {
+  await ctx.addProduct({ productName: 'Lamp', category: 'Home', categorySlug: 'home' });
+  await ctx.addProduct({ productName: 'Planter', category: 'Home & Garden', categorySlug: 'home-and-garden' });
+
+  const bySlug = await ctx.request('GET', '/products/category/home');
+  const byName = await ctx.request('GET', `/products/category/${encodeURIComponent('Home & Garden')}`);
+  const pattern = await ctx.request('GET', `/products/category/${encodeURIComponent('.*')}`);
+
+  assert.deepStrictEqual(bySlug.body.data.map(p => p.productName), ['Lamp']);
+  assert.deepStrictEqual(byName.body.data.map(p => p.productName), ['Planter']);
+  assert.deepStrictEqual(pattern.body.data, []);
+});
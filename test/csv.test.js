@@ -0,0 +1,20 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { parseCsv, toCsvRow } = require('../csv');
+
+const roundTrip = (values) => {
+  const keys = values.map((_, i) => `c${i}`);
+  return Object.values(parseCsv(toCsvRow(keys) + toCsvRow(values))[0]);
+};
+
+test('formulas are escaped on download and restored on upload', () => {
+  const row = toCsvRow(['=HYPERLINK("x")', '@SUM(A1)', '-1+cmd|x']);
+
+  assert.strictEqual(row, `"'=HYPERLINK(""x"")",'@SUM(A1),'-1+cmd|x\r\n`);
+  assert.deepStrictEqual(roundTrip(['=HYPERLINK("x")', '@SUM(A1)', '-1+cmd|x']), ['=HYPERLINK("x")', '@SUM(A1)', '-1+cmd|x']);
+});
+
+test('numbers and phone numbers keep their sign', () => {
+  assert.strictEqual(toCsvRow(['-5', '+880 1711-000000']), '-5,+880 1711-000000\r\n');
+  assert.deepStrictEqual(roundTrip(['-5', '+880 1711-000000', "'quoted"]), ['-5', '+880 1711-000000', "'quoted"]);
+});
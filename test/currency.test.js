@@ -0,0 +1,112 @@
+const { test, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const { startApp } = require('./helpers/app');
+
+let ctx;
+let seller;
+let buyer;
+
+before(async () => {
+  ctx = await startApp();
+  seller = await ctx.createUser('seller@example.com');
+  buyer = await ctx.createUser('buyer@example.com');
+});
+
+after(() => ctx.close());
+
+beforeEach(async () => {
+  for (const name of ['products', 'imports', 'orders']) {
+    await ctx.db.collection(name).deleteMany({});
+  }
+});
+
+const addProduct = (fields = {}) => ctx.addProduct({
+  productName: 'Tea chest', price: 19.99, currency: 'EUR', originCountry: 'India', availableQuantity: 50, ...fields
+});
+
+test('orders are recorded in the product currency', async () => {
+  const productId = await addProduct();
+
+  const result = await ctx.request('POST', '/imports', { token: buyer, body: { productId, importedQuantity: 3 } });
+  assert.strictEqual(result.status, 201);
+
+  const order = await ctx.db.collection('orders').findOne({ productId });
+  assert.strictEqual(order.currency, 'EUR');
+  assert.strictEqual(order.amount, 59.97);
+});
+
+test('the currency of an imported product cannot change', async () => {
+  const productId = await addProduct();
+  await ctx.request('POST', '/imports', { token: buyer, body: { productId, importedQuantity: 1 } });
+
+  const result = await ctx.request('PUT', `/products/${productId}`, { token: seller, body: { currency: 'USD', price: 21.5 } });
+
+  assert.strictEqual(result.status, 409);
+  const product = await ctx.db.collection('products').findOne({});
+  assert.strictEqual(product.currency, 'EUR');
+  assert.strictEqual(product.price, 19.99);
+});
+
+test('the currency of a product with past orders cannot change', async () => {
+  const productId = await addProduct();
+  const { body } = await ctx.request('POST', '/imports', { token: buyer, body: { productId, importedQuantity: 1 } });
+  await ctx.request('DELETE', `/imports/${body.importId}`, { token: buyer });
+
+  const result = await ctx.request('PUT', `/products/${productId}`, { token: seller, body: { currency: 'USD' } });
+
+  assert.strictEqual(result.status, 409);
+  assert.strictEqual((await ctx.db.collection('products').findOne({})).currency, 'EUR');
+});
+
+test('the currency of a product without orders can change', async () => {
+  const productId = await addProduct();
+
+  const result = await ctx.request('PUT', `/products/${productId}`, { token: seller, body: { currency: 'USD' } });
+
+  assert.strictEqual(result.status, 200, JSON.stringify(result.body));
+  assert.strictEqual((await ctx.db.collection('products').findOne({})).currency, 'USD');
+});
+
+test('products only take currencies with an exchange rate', async () => {
+  const product = { productName: 'Brass lamp', price: 40, originCountry: 'India', availableQuantity: 5 };
+
+  const unknown = await ctx.request('POST', '/products', { token: seller, body: { ...product, currency: 'XYZ' } });
+  assert.strictEqual(unknown.status, 400);
+  assert.strictEqual(unknown.body.details[0].field, 'currency');
+
+  const known = await ctx.request('POST', '/products', { token: seller, body: { ...product, currency: 'inr' } });
+  assert.strictEqual(known.status, 201, JSON.stringify(known.body));
+  assert.strictEqual((await ctx.db.collection('products').findOne({})).currency, 'INR');
+});
+
+test('bulk rows with an unsupported currency are reported', async () => {
+  const result = await ctx.request('POST', '/products/bulk?dryRun=true', {
+    token: seller,
+    body: [
+      { productName: 'Rug', price: 120, currency: 'EUR', originCountry: 'Iran', availableQuantity: 2 },
+      { productName: 'Vase', price: 30, currency: 'ABC', originCountry: 'China', availableQuantity: 4 }
+    ]
+  });
+
+  assert.strictEqual(result.body.valid, 1);
+  assert.deepStrictEqual(result.body.errors, [{ row: 2, errors: [{ field: 'currency', message: 'is not a supported currency' }] }]);
+});
+
+test('price filters and sorts compare prices across currencies', async () => {
+  const create = (body) => ctx.request('POST', '/products', {
+    token: seller,
+    body: { originCountry: 'Japan', availableQuantity: 5, ...body }
+  });
+  await create({ productName: 'Tea cup', price: 1500, currency: 'JPY' }); // about 10 USD
+  await create({ productName: 'Tea pot', price: 20, currency: 'USD' });
+  const names = async (query) => {
+    const result = await ctx.request('GET', `/products?facets=false&${query}`);
+    assert.strictEqual(result.status, 200, JSON.stringify(result.body));
+    return result.body.data.map(p => p.productName);
+  };
+
+  assert.deepStrictEqual(await names('sort=price_desc'), ['Tea pot', 'Tea cup']);
+  assert.deepStrictEqual(await names('sort=price_asc'), ['Tea cup', 'Tea pot']);
+  assert.deepStrictEqual(await names('minPrice=15'), ['Tea pot']);
+  assert.deepStrictEqual(await names('currency=JPY&maxPrice=2000'), ['Tea cup']);
+});
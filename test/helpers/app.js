@@ -0,0 +1,63 @@
+const { once } = require('events');
+const { installMemoryMongo } = require('./memory-mongo');
+
+// Boots the app on a random port against the in-memory database. Call it
+// from test setup, before anything else requires index.js.
+const startApp = async () => {
+  process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+  process.env.NOTIFIERS = 'inapp';
+
+  // The runner reads test results from stdout, and Node 20 sometimes
+  // misparses them when the app's logs are mixed in. Logs go to stderr.
+  console.log = console.error;
+
+  const client = installMemoryMongo();
+  const db = client.db('exportHub');
+  const app = require('../../index');
+  const { signToken } = require('../../token');
+
+  const server = app.listen(0);
+  await once(server, 'listening');
+  const baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+  const request = async (method, path, { token, body } = {}) => {
+    const response = await fetch(baseUrl + path, {
+      method,
+      headers: {
+        ...(body !== undefined && { 'Content-Type': 'application/json' }),
+        ...(token && { Authorization: `Bearer ${token}` })
+      },
+      body: body !== undefined ? JSON.stringify(body) : undefined
+    });
+    return { status: response.status, body: await response.json() };
+  };
+
+  // Stores a user and returns an access token for it
+  const createUser = async (email, role = 'user') => {
+    const { insertedId } = await db.collection('users').insertOne({ email, name: email.split('@')[0], role });
+    return signToken({ sub: insertedId.toString(), email, role });
+  };
+
+  // Stores a published product of seller@example.com and returns its id.
+  // Fields override the defaults.
+  const addProduct = async (fields = {}) => {
+    const { insertedId } = await db.collection('products').insertOne({
+      productName: 'Jute bag',
+      price: 12.5,
+      originCountry: 'Bangladesh',
+      availableQuantity: 10,
+      status: 'published',
+      deletedAt: null,
+      userEmail: 'seller@example.com',
+      createdAt: new Date(),
+      ...fields
+    });
+    return insertedId.toString();
+  };
+
+  const close = () => new Promise(resolve => server.close(resolve));
+
+  return { app, db, baseUrl, request, createUser, addProduct, close };
+};
+
+module.exports = { startApp };
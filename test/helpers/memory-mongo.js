@@ -0,0 +1,314 @@
+const { ObjectId } = require('mongodb');
+
+// In-memory stand-in for the parts of the MongoDB driver the routes under
+// test use. Every operation yields to the event loop first, like a round
+// trip to the server, and then runs on its own - so single-document updates
+// are atomic, as in Mongo. An upsert that misses waits UPSERT_GAP ms before
+// inserting, which opens the same window two concurrent upserts hit on a
+// real server; unique indexes then reject the loser with E11000.
+
+const UPSERT_GAP = 20;
+
+const tick = () => new Promise(resolve => setImmediate(resolve));
+
+const isPlainObject = (value) => !!value && typeof value === 'object' && value.constructor === Object;
+
+const clone = (value) => {
+  if (value instanceof ObjectId) return value;
+  if (value instanceof Date) return new Date(value);
+  if (Array.isArray(value)) return value.map(clone);
+  if (isPlainObject(value)) return Object.fromEntries(Object.entries(value).map(([k, v]) => [k, clone(v)]));
+  return value;
+};
+
+const getPath = (doc, path) => path.split('.').reduce((value, key) => (value == null ? undefined : value[key]), doc);
+
+const sameValue = (a, b) => {
+  if (a == null || b == null) return a == null && b == null; // null also matches a missing field
+  if (a instanceof ObjectId || b instanceof ObjectId) return String(a) === String(b);
+  if (a instanceof Date && b instanceof Date) return a.getTime() === b.getTime();
+  if (typeof a === 'object' && typeof b === 'object') return JSON.stringify(a) === JSON.stringify(b);
+  return a === b;
+};
+
+const compare = (a, b) => (a instanceof Date ? a.getTime() : a) - (b instanceof Date ? b.getTime() : b);
+
+const matchesCondition = (value, condition) => {
+  if (isPlainObject(condition) && Object.keys(condition).some(key => key.startsWith('$'))) {
+    return Object.entries(condition).every(([op, arg]) => {
+      switch (op) {
+        case '$in': return arg.some(item => matchesCondition(value, item));
+        case '$nin': return !arg.some(item => matchesCondition(value, item));
+        case '$ne': return !matchesCondition(value, arg);
+        case '$gt': return value != null && compare(value, arg) > 0;
+        case '$gte': return value != null && compare(value, arg) >= 0;
+        case '$lt': return value != null && compare(value, arg) < 0;
+        case '$lte': return value != null && compare(value, arg) <= 0;
+        case '$exists': return (value !== undefined) === arg;
+        default: throw new Error(`memory-mongo: unsupported query operator ${op}`);
+      }
+    });
+  }
+  if (Array.isArray(value) && !Array.isArray(condition)) return value.some(item => sameValue(item, condition));
+  return sameValue(value, condition);
+};
+
+const matches = (doc, filter = {}) => Object.entries(filter).every(([key, condition]) => {
+  if (key === '$or') return condition.some(part => matches(doc, part));
+  if (key === '$and') return condition.every(part => matches(doc, part));
+  return matchesCondition(getPath(doc, key), condition);
+});
+
+const applyUpdate = (doc, update, inserting) => {
+  for (const [op, fields] of Object.entries(update)) {
+    for (const [key, value] of Object.entries(fields)) {
+      switch (op) {
+        case '$set': doc[key] = clone(value); break;
+        case '$setOnInsert': if (inserting) doc[key] = clone(value); break;
+        case '$inc': doc[key] = (doc[key] || 0) + value; break;
+        case '$unset': delete doc[key]; break;
+        case '$push': doc[key] = [...(doc[key] || []), ...(isPlainObject(value) && '$each' in value ? value.$each : [value]).map(clone)]; break;
+        case '$pull': doc[key] = (doc[key] || []).filter(item => !sameValue(item, value)); break;
+        default: throw new Error(`memory-mongo: unsupported update operator ${op}`);
+      }
+    }
+  }
+};
+
+const sortDocs = (docs, sort) => {
+  const keys = Object.entries(sort || {});
+  return [...docs].sort((a, b) => {
+    for (const [key, direction] of keys) {
+      const diff = compare(getPath(a, key) ?? 0, getPath(b, key) ?? 0);
+      if (diff) return diff * direction;
+    }
+    return 0;
+  });
+};
+
+// Aggregation expressions: field paths, literals and a few operators.
+// Decimals are plain numbers here.
+const evaluate = (doc, expr) => {
+  if (typeof expr === 'string' && expr.startsWith('$')) return getPath(doc, expr.slice(1));
+  if (isPlainObject(expr)) {
+    const [[op, arg]] = Object.entries(expr);
+    switch (op) {
+      case '$ifNull': return evaluate(doc, arg[0]) ?? evaluate(doc, arg[1]);
+      case '$toDecimal':
+      case '$toDouble': return Number(evaluate(doc, arg));
+      default: throw new Error(`memory-mongo: unsupported expression ${op}`);
+    }
+  }
+  return expr;
+};
+
+// $sum and $avg only. $avg keeps a running total and divides at the end,
+// giving null for a group with no numeric values, as MongoDB does.
+const groupDocs = (docs, { _id, ...accumulators }) => {
+  const groups = new Map();
+  for (const doc of docs) {
+    const key = evaluate(doc, _id) ?? null;
+    const id = JSON.stringify(key);
+    if (!groups.has(id)) {
+      groups.set(id, { group: { _id: key, ...Object.fromEntries(Object.keys(accumulators).map(field => [field, 0])) }, counts: {} });
+    }
+    const { group, counts } = groups.get(id);
+    for (const [field, accumulator] of Object.entries(accumulators)) {
+      const [[operator, expr]] = Object.entries(accumulator);
+      if (operator !== '$sum' && operator !== '$avg') throw new Error(`memory-mongo: unsupported accumulator in ${field}`);
+      const value = evaluate(doc, expr);
+      if (typeof value === 'number') {
+        group[field] += value;
+        counts[field] = (counts[field] || 0) + 1;
+      }
+    }
+  }
+  return [...groups.values()].map(({ group, counts }) => {
+    for (const [field, accumulator] of Object.entries(accumulators)) {
+      if ('$avg' in accumulator) group[field] = counts[field] ? group[field] / counts[field] : null;
+    }
+    return group;
+  });
+};
+
+const runPipeline = (docs, pipeline) => pipeline.reduce((current, stage) => {
+  const [[name, arg]] = Object.entries(stage);
+  switch (name) {
+    case '$match': return current.filter(doc => matches(doc, arg));
+    case '$group': return groupDocs(current, arg);
+    case '$sort': return sortDocs(current, arg);
+    case '$limit': return current.slice(0, arg);
+    default: throw new Error(`memory-mongo: unsupported pipeline stage ${name}`);
+  }
+}, docs);
+
+class Cursor {
+  constructor(load) {
+    this.load = load;
+    this.options = {};
+  }
+
+  project() { return this; }
+  sort(sort) { this.options.sort = sort; return this; }
+  skip(skip) { this.options.skip = skip; return this; }
+  limit(limit) { this.options.limit = limit; return this; }
+
+  async toArray() {
+    await tick();
+    let docs = sortDocs(this.load(), this.options.sort);
+    if (this.options.skip) docs = docs.slice(this.options.skip);
+    if (this.options.limit) docs = docs.slice(0, this.options.limit);
+    return docs.map(clone);
+  }
+
+  async *[Symbol.asyncIterator]() {
+    yield* await this.toArray();
+  }
+}
+
+class Collection {
+  constructor() {
+    this.docs = [];
+    this.uniqueKeys = [];
+  }
+
+  async createIndex(keys, options = {}) {
+    if (options.unique) this.uniqueKeys.push(Object.keys(keys));
+  }
+
+  insertNow(doc) {
+    const stored = { _id: new ObjectId(), ...clone(doc) };
+    for (const keys of this.uniqueKeys) {
+      if (this.docs.some(other => keys.every(key => sameValue(getPath(other, key), getPath(stored, key))))) {
+        throw Object.assign(new Error(`E11000 duplicate key error (${keys.join(', ')})`), { code: 11000 });
+      }
+    }
+    this.docs.push(stored);
+    return stored;
+  }
+
+  find(filter, options = {}) {
+    const cursor = new Cursor(() => this.docs.filter(doc => matches(doc, filter)));
+    if (options.sort) cursor.sort(options.sort);
+    return cursor;
+  }
+
+  aggregate(pipeline) {
+    return new Cursor(() => runPipeline(this.docs, pipeline));
+  }
+
+  async findOne(filter, options = {}) {
+    await tick();
+    const [doc] = sortDocs(this.docs.filter(d => matches(d, filter)), options.sort);
+    return doc ? clone(doc) : null;
+  }
+
+  async countDocuments(filter) {
+    await tick();
+    return this.docs.filter(doc => matches(doc, filter)).length;
+  }
+
+  async distinct(field, filter) {
+    await tick();
+    const values = this.docs.filter(doc => matches(doc, filter)).map(doc => getPath(doc, field));
+    return values.filter((value, index) => values.findIndex(other => sameValue(other, value)) === index);
+  }
+
+  async insertOne(doc) {
+    await tick();
+    return { acknowledged: true, insertedId: this.insertNow(doc)._id };
+  }
+
+  async insertMany(docs) {
+    await tick();
+    const ids = docs.map(doc => this.insertNow(doc)._id);
+    return { acknowledged: true, insertedCount: ids.length, insertedIds: ids };
+  }
+
+  async updateOne(filter, update, options = {}) {
+    const result = await this.findOneAndUpdate(filter, update, { ...options, includeResultMetadata: true });
+    return {
+      matchedCount: result.lastErrorObject.updatedExisting ? 1 : 0,
+      modifiedCount: result.lastErrorObject.updatedExisting ? 1 : 0,
+      upsertedId: result.lastErrorObject.upserted || null
+    };
+  }
+
+  async updateMany(filter, update) {
+    await tick();
+    const docs = this.docs.filter(doc => matches(doc, filter));
+    docs.forEach(doc => applyUpdate(doc, update, false));
+    return { matchedCount: docs.length, modifiedCount: docs.length };
+  }
+
+  async findOneAndUpdate(filter, update, options = {}) {
+    await tick();
+    const wrap = (value, lastErrorObject) => (options.includeResultMetadata ? { value, lastErrorObject } : value);
+
+    const [doc] = sortDocs(this.docs.filter(d => matches(d, filter)), options.sort);
+    if (doc) {
+      const before = clone(doc);
+      applyUpdate(doc, update, false);
+      return wrap(clone(options.returnDocument === 'after' ? doc : before), { updatedExisting: true, n: 1 });
+    }
+
+    if (!options.upsert) return wrap(null, { updatedExisting: false, n: 0 });
+
+    await new Promise(resolve => setTimeout(resolve, UPSERT_GAP));
+    const inserted = Object.fromEntries(Object.entries(filter).filter(([key, value]) => !key.startsWith('$') && !isPlainObject(value)));
+    applyUpdate(inserted, update, true);
+    const stored = this.insertNow(inserted);
+    return wrap(options.returnDocument === 'after' ? clone(stored) : null, { updatedExisting: false, n: 1, upserted: stored._id });
+  }
+
+  async findOneAndDelete(filter) {
+    await tick();
+    const index = this.docs.findIndex(doc => matches(doc, filter));
+    return index === -1 ? null : this.docs.splice(index, 1)[0];
+  }
+
+  async deleteOne(filter) {
+    return { deletedCount: (await this.findOneAndDelete(filter)) ? 1 : 0 };
+  }
+
+  async deleteMany(filter) {
+    await tick();
+    const before = this.docs.length;
+    this.docs = this.docs.filter(doc => !matches(doc, filter));
+    return { deletedCount: before - this.docs.length };
+  }
+}
+
+class MemoryDb {
+  constructor() {
+    this.collections = new Map();
+  }
+
+  collection(name) {
+    if (!this.collections.has(name)) this.collections.set(name, new Collection());
+    return this.collections.get(name);
+  }
+}
+
+// Drop-in for MongoClient: every client shares one database per name, so a
+// test can reach the collections the app writes to
+const databases = new Map();
+
+class MemoryMongoClient {
+  async connect() { return this; }
+  async close() {}
+
+  db(name) {
+    if (!databases.has(name)) databases.set(name, new MemoryDb());
+    return databases.get(name);
+  }
+}
+
+// Swap the driver's MongoClient for the in-memory one. Must run before the
+// app is required, since it reads MongoClient when it loads.
+const installMemoryMongo = () => {
+  Object.defineProperty(require('mongodb'), 'MongoClient', { value: MemoryMongoClient, configurable: true });
+  return new MemoryMongoClient();
+};
+
+module.exports = { installMemoryMongo, MemoryMongoClient };
@@ -0,0 +1,88 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const sharp = require('sharp');
+const { startApp } = require('./helpers/app');
+
+let ctx;
+let seller;
+let uploadDir;
+
+before(async () => {
+  uploadDir = fs.mkdtempSync(path.join(os.tmpdir(), 'uploads-'));
+  process.env.UPLOAD_DIR = uploadDir;
+  process.env.PUBLIC_BASE_URL = 'https://api.example.com/';
+  ctx = await startApp();
+  seller = await ctx.createUser('seller@example.com');
+});
+
+after(async () => {
+  await ctx.close();
+  fs.rmSync(uploadDir, { recursive: true, force: true });
+});
+
+// POST a form through http.request, which unlike fetch can forge the Host header
+const postForm = async (url, form, headers) => {
+  const request = new Request(url, { method: 'POST', body: form });
+  const body = Buffer.from(await request.arrayBuffer());
+  return new Promise((resolve, reject) => {
+    http.request(url, {
+      method: 'POST',
+      headers: { ...headers, 'Content-Type': request.headers.get('content-type'), 'Content-Length': body.length }
+    }, (res) => {
+      res.resume();
+      res.on('end', () => resolve(res.statusCode));
+    }).on('error', reject).end(body);
+  });
+};
+
+test('local uploads get URLs under PUBLIC_BASE_URL whatever the request host', async () => {
+  const productId = await ctx.addProduct({ productName: 'Clay pot' });
+  const png = await sharp({ create: { width: 4, height: 4, channels: 3, background: '#c06030' } }).png().toBuffer();
+  const form = new FormData();
+  form.append('images', new Blob([png], { type: 'image/png' }), 'pot.png');
+
+  const status = await postForm(`${ctx.baseUrl}/products/${productId}/images`, form, {
+    Authorization: `Bearer ${seller}`,
+    Host: 'attacker.example',
+    'X-Forwarded-Proto': 'http'
+  });
+
+  assert.strictEqual(status, 201);
+  const product = await ctx.db.collection('products').findOne({});
+  assert.ok(product.productImage.startsWith(`https://api.example.com/uploads/products/${productId}/`), product.productImage);
+  assert.ok(product.images[0].thumbnailUrl.startsWith('https://api.example.com/uploads/'));
+
+  const image = await fetch(product.productImage.replace('https://api.example.com', ctx.baseUrl));
+  assert.strictEqual(image.status, 200);
+});
+
+test('local storage URLs default to the configured port, not a request host', async () => {
+  const { createStorage } = require('../storage');
+  const storage = createStorage({ UPLOAD_DIR: uploadDir, PORT: '4000' });
+
+  assert.strictEqual(await storage.put('note.txt', Buffer.from('hi')), 'http://localhost:4000/uploads/note.txt');
+});
+
+test('force deleting a product removes its stored images', async () => {
+  const admin = await ctx.createUser('admin@example.com', 'admin');
+  const productId = await ctx.addProduct({ productName: 'Brass bell' });
+  const png = await sharp({ create: { width: 4, height: 4, channels: 3, background: '#b08d57' } }).png().toBuffer();
+  const form = new FormData();
+  form.append('images', new Blob([png], { type: 'image/png' }), 'bell.png');
+  await fetch(`${ctx.baseUrl}/products/${productId}/images`, {
+    method: 'POST',
+    headers: { Authorization: `Bearer ${seller}` },
+    body: form
+  });
+  const productDir = path.join(uploadDir, 'products', productId);
+  assert.strictEqual(fs.readdirSync(productDir).length, 2);
+
+  const { status } = await ctx.request('DELETE', `/admin/products/${productId}`, { token: admin });
+
+  assert.strictEqual(status, 200);
+  assert.deepStrictEqual(fs.readdirSync(productDir), []);
+});
@@ -0,0 +1,170 @@
+const { test, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const { startApp } = require('./helpers/app');
+
+let ctx;
+let seller;
+
+before(async () => {
+  ctx = await startApp();
+  seller = await ctx.createUser('seller@example.com');
+});
+
+after(() => ctx.close());
+
+beforeEach(async () => {
+  for (const name of ['products', 'imports', 'orders', 'wishlists', 'notifications']) {
+    await ctx.db.collection(name).deleteMany({});
+  }
+});
+
+const importProduct = (token, productId, quantity) => {
+  return ctx.request('POST', '/imports', { token, body: { productId, importedQuantity: quantity } });
+};
+
+test('parallel imports never sell more than the stock', async () => {
+  const productId = await ctx.addProduct({ availableQuantity: 10 });
+  const buyers = await Promise.all(
+    Array.from({ length: 8 }, (_, i) => ctx.createUser(`buyer${i}@example.com`))
+  );
+
+  const results = await Promise.all(buyers.map(token => importProduct(token, productId, 3)));
+
+  const created = results.filter(r => r.status === 201);
+  const conflicts = results.filter(r => r.status === 409);
+  assert.strictEqual(created.length, 3);
+  assert.strictEqual(conflicts.length, 5);
+  conflicts.forEach(r => assert.strictEqual(r.body.availableQuantity, 1));
+
+  const product = await ctx.db.collection('products').findOne({});
+  assert.strictEqual(product.availableQuantity, 1);
+  assert.strictEqual(await ctx.db.collection('orders').countDocuments({ productId }), 3);
+});
+
+test('parallel first imports by one buyer merge into one import', async () => {
+  const productId = await ctx.addProduct({ availableQuantity: 20 });
+  const buyer = await ctx.createUser('repeat@example.com');
+
+  const results = await Promise.all(Array.from({ length: 5 }, () => importProduct(buyer, productId, 2)));
+
+  results.forEach(r => assert.strictEqual(r.status, 201, JSON.stringify(r.body)));
+  assert.strictEqual(new Set(results.map(r => r.body.importId)).size, 1);
+
+  const imports = await ctx.db.collection('imports').find({ productId }).toArray();
+  assert.strictEqual(imports.length, 1);
+  assert.strictEqual(imports[0].importedQuantity, 10);
+
+  const product = await ctx.db.collection('products').findOne({});
+  assert.strictEqual(product.availableQuantity, 10);
+  assert.strictEqual(await ctx.db.collection('orders').countDocuments({ productId }), 5);
+});
+
+test('an import larger than the stock gets 409 with the quantity left', async () => {
+  const productId = await ctx.addProduct({ availableQuantity: 2 });
+  const buyer = await ctx.createUser('big@example.com');
+
+  const result = await importProduct(buyer, productId, 5);
+
+  assert.strictEqual(result.status, 409);
+  assert.strictEqual(result.body.availableQuantity, 2);
+  assert.strictEqual(await ctx.db.collection('imports').countDocuments({}), 0);
+});
+
+// The next orders insert fails, as if the ledger write was lost
+const failNextOrder = () => {
+  const orders = ctx.db.collection('orders');
+  orders.insertOne = async () => {
+    delete orders.insertOne;
+    throw new Error('ledger unavailable');
+  };
+};
+
+const importState = async (productId) => {
+  const product = await ctx.db.collection('products').findOne({});
+  return {
+    importedQuantity: (await ctx.db.collection('imports').findOne({ productId }))?.importedQuantity,
+    availableQuantity: product.availableQuantity,
+    importCount: product.importCount,
+    orders: await ctx.db.collection('orders').countDocuments({ productId })
+  };
+};
+
+test('a partial return is written to the ledger and restocks', async () => {
+  const productId = await ctx.addProduct({ availableQuantity: 10 });
+  const buyer = await ctx.createUser('return@example.com');
+  const { body } = await importProduct(buyer, productId, 5);
+
+  const result = await ctx.request('PATCH', `/imports/${body.importId}`, { token: buyer, body: { delta: -2 } });
+
+  assert.strictEqual(result.status, 200, JSON.stringify(result.body));
+  assert.deepStrictEqual(await importState(productId), { importedQuantity: 3, availableQuantity: 7, importCount: 1, orders: 2 });
+  const refund = await ctx.db.collection('orders').findOne({ type: 'return' });
+  assert.strictEqual(refund.amount, -25);
+  assert.strictEqual(refund.sellerEmail, 'seller@example.com');
+});
+
+test('import changes are undone when the ledger write fails', async () => {
+  const productId = await ctx.addProduct({ availableQuantity: 10 });
+  const buyer = await ctx.createUser('ledger@example.com');
+  const { body } = await importProduct(buyer, productId, 5);
+  const before = await importState(productId);
+
+  for (const [method, payload] of [['PATCH', { delta: -2 }], ['PATCH', { delta: 2 }], ['DELETE', undefined]]) {
+    failNextOrder();
+    const result = await ctx.request(method, `/imports/${body.importId}`, { token: buyer, body: payload });
+
+    assert.strictEqual(result.status, 500, `${method} ${JSON.stringify(payload)}`);
+    assert.deepStrictEqual(await importState(productId), before, `${method} ${JSON.stringify(payload)}`);
+  }
+});
+
+test('removing an import takes its purchases off the import count', async () => {
+  const productId = await ctx.addProduct({ availableQuantity: 10 });
+  const buyer = await ctx.createUser('remove@example.com');
+  const { body } = await importProduct(buyer, productId, 2);
+  await importProduct(buyer, productId, 1);
+  await importProduct(await ctx.createUser('other@example.com'), productId, 1);
+
+  const result = await ctx.request('DELETE', `/imports/${body.importId}`, { token: buyer });
+
+  assert.strictEqual(result.status, 200, JSON.stringify(result.body));
+  const product = await ctx.db.collection('products').findOne({});
+  assert.strictEqual(product.importCount, 1);
+  assert.strictEqual(product.availableQuantity, 9);
+});
+
+test('only a real restock alerts wishlist subscribers', async () => {
+  const productId = await ctx.addProduct({ availableQuantity: 2 });
+  const buyer = await ctx.createUser('last@example.com');
+  await ctx.db.collection('wishlists').insertOne({ productId, userEmail: 'watcher@example.com', notify: true, createdAt: new Date() });
+  const restockAlerts = async () => {
+    await new Promise(resolve => setTimeout(resolve, 50));
+    return ctx.db.collection('notifications').countDocuments({ type: 'product.restocked' });
+  };
+
+  failNextOrder();
+  assert.strictEqual((await importProduct(buyer, productId, 2)).status, 500);
+  assert.strictEqual(await restockAlerts(), 0);
+
+  const { body } = await importProduct(buyer, productId, 2);
+  await ctx.request('DELETE', `/imports/${body.importId}`, { token: buyer });
+  assert.strictEqual(await restockAlerts(), 1);
+});
+
+test('returns refund exactly what is still held at mixed prices', async () => {
+  const productId = await ctx.addProduct({ availableQuantity: 10 });
+  const buyer = await ctx.createUser('mixed@example.com');
+  await ctx.db.collection('products').updateOne({}, { $set: { price: 10 } });
+  const { body } = await importProduct(buyer, productId, 1);
+  await ctx.db.collection('products').updateOne({}, { $set: { price: 10.01 } });
+  await importProduct(buyer, productId, 2);
+
+  await ctx.request('PATCH', `/imports/${body.importId}`, { token: buyer, body: { delta: -1 } });
+  const result = await ctx.request('DELETE', `/imports/${body.importId}`, { token: buyer });
+
+  assert.strictEqual(result.status, 200, JSON.stringify(result.body));
+  const returns = await ctx.db.collection('orders').find({ type: 'return' }).sort({ createdAt: 1 }).toArray();
+  assert.deepStrictEqual(returns.map(r => r.amount), [-10.01, -20.01]);
+  const orders = await ctx.db.collection('orders').find({ importId: returns[0].importId }).toArray();
+  assert.strictEqual(orders.reduce((sum, o) => sum + Math.round(o.amount * 100), 0), 0);
+});
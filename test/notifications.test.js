@@ -0,0 +1,77 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { startApp } = require('./helpers/app');
+
+let ctx;
+
+before(async () => {
+  ctx = await startApp();
+});
+
+after(() => ctx.close());
+
+// Opens the stream and resolves with the status and the first event
+const openStream = async (query, token) => {
+  const controller = new AbortController();
+  const response = await fetch(`${ctx.baseUrl}/notifications/stream${query}`, {
+    headers: token ? { Authorization: `Bearer ${token}` } : {},
+    signal: controller.signal
+  });
+  let firstEvent = null;
+  if (response.ok) {
+    const reader = response.body.getReader();
+    firstEvent = new TextDecoder().decode((await reader.read()).value);
+  }
+  controller.abort();
+  return { status: response.status, firstEvent };
+};
+
+test('the stream opens with a stream token', async () => {
+  const token = await ctx.createUser('stream@example.com');
+  const issued = await ctx.request('POST', '/notifications/stream-token', { token });
+  assert.strictEqual(issued.status, 200);
+  assert.strictEqual(issued.body.expiresIn, 60);
+
+  const stream = await openStream(`?token=${issued.body.token}`);
+  assert.strictEqual(stream.status, 200);
+  assert.match(stream.firstEvent, /event: unread\ndata: {"unreadCount":0}/);
+});
+
+test('access tokens are not accepted in the URL', async () => {
+  const token = await ctx.createUser('url@example.com');
+
+  assert.strictEqual((await openStream(`?token=${token}`)).status, 401);
+  assert.strictEqual((await openStream(`?access_token=${token}`)).status, 401);
+});
+
+test('stream tokens are not sessions', async () => {
+  const token = await ctx.createUser('session@example.com');
+  const { body } = await ctx.request('POST', '/notifications/stream-token', { token });
+
+  assert.strictEqual((await ctx.request('GET', '/notifications', { token: body.token })).status, 401);
+});
+
+test('a stream token cannot log out every session', async () => {
+  const token = await ctx.createUser('logout@example.com');
+  const { body } = await ctx.request('POST', '/notifications/stream-token', { token });
+  const refreshTokens = ctx.db.collection('refreshTokens');
+  await refreshTokens.insertOne({ email: 'logout@example.com', tokenHash: 'h', revokedAt: null });
+
+  const res = await ctx.request('POST', '/logout', { token: body.token, body: { all: true } });
+  assert.strictEqual(res.status, 400);
+  assert.strictEqual((await refreshTokens.findOne({ tokenHash: 'h' })).revokedAt, null);
+});
+
+test('a product update succeeds when its notifications fail', async () => {
+  const token = await ctx.createUser('owner@example.com');
+  const productId = await ctx.addProduct({ userEmail: 'owner@example.com' });
+  const imports = ctx.db.collection('imports');
+  imports.distinct = async () => { throw new Error('database hiccup'); };
+
+  try {
+    const result = await ctx.request('PUT', `/products/${productId}`, { token, body: { price: 9 } });
+    assert.strictEqual(result.status, 200, JSON.stringify(result.body));
+  } finally {
+    delete imports.distinct;
+  }
+});
@@ -0,0 +1,22 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { encodeCursor, decodeCursor } = require('../pagination');
+
+const id = '64b7f0c2a1b2c3d4e5f60718';
+const rawCursor = (v) => Buffer.from(JSON.stringify({ v, id })).toString('base64url');
+
+test('cursors round-trip strings, numbers, dates and missing values', () => {
+  const date = new Date('2026-10-05T12:00:00Z');
+
+  assert.strictEqual(decodeCursor(encodeCursor('Jute bag', id)).value, 'Jute bag');
+  assert.strictEqual(decodeCursor(encodeCursor(4.5, id)).value, 4.5);
+  assert.deepStrictEqual(decodeCursor(encodeCursor(date, id)).value, date);
+  assert.strictEqual(decodeCursor(encodeCursor(undefined, id)).value, null);
+  assert.strictEqual(decodeCursor(encodeCursor(null, id)).id.toString(), id);
+});
+
+test('cursor values that could smuggle query operators are rejected', () => {
+  for (const v of [{ $ne: null }, { $gt: '' }, { d: '2026-10-05', $ne: 1 }, { d: 'not a date' }, [1, 2], true]) {
+    assert.throws(() => decodeCursor(rawCursor(v)), /Invalid cursor/, JSON.stringify(v));
+  }
+});
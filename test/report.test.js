@@ -0,0 +1,41 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { startApp } = require('./helpers/app');
+
+let ctx;
+let buyer;
+
+before(async () => {
+  ctx = await startApp();
+  buyer = await ctx.createUser('buyer@example.com');
+});
+
+after(() => ctx.close());
+
+test('a date-only "to" includes orders from that whole day', async () => {
+  const order = (createdAt) => ({
+    buyerEmail: 'buyer@example.com',
+    productId: 'p1',
+    productName: 'Jute bag',
+    type: 'purchase',
+    quantity: 1,
+    unitPrice: 5,
+    amount: 5,
+    currency: 'USD',
+    createdAt: new Date(createdAt)
+  });
+  await ctx.db.collection('orders').insertMany([
+    order('2026-10-04T12:00:00Z'),
+    order('2026-10-05T18:30:00Z'),
+    order('2026-10-06T00:00:00Z')
+  ]);
+
+  const response = await fetch(`${ctx.baseUrl}/imports/buyer@example.com/report?from=2026-10-04&to=2026-10-05`, {
+    headers: { Authorization: `Bearer ${buyer}` }
+  });
+
+  assert.strictEqual(response.status, 200);
+  const csv = await response.text();
+  assert.match(csv, /2026-10-05/);
+  assert.doesNotMatch(csv, /2026-10-06/);
+});
@@ -0,0 +1,85 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { startApp } = require('./helpers/app');
+
+let ctx;
+let productId;
+let seller;
+let moderator;
+
+// A buyer is a user with an import of the product
+const addBuyer = async (email) => {
+  const token = await ctx.createUser(email);
+  await ctx.db.collection('imports').insertOne({ productId, userEmail: email, userName: email, quantity: 1 });
+  return token;
+};
+
+const productRating = async () => {
+  const { rating, reviewCount } = await ctx.db.collection('products').findOne({});
+  return { rating, reviewCount };
+};
+
+before(async () => {
+  ctx = await startApp();
+  seller = await ctx.createUser('seller@example.com');
+  moderator = await ctx.createUser('moderator@example.com', 'moderator');
+  productId = await ctx.addProduct({ productName: 'Wool rug' });
+});
+
+after(() => ctx.close());
+
+test('reviews keep the product rating and count up to date', async () => {
+  const first = await addBuyer('ana@example.com');
+  const second = await addBuyer('ben@example.com');
+  const path = `/products/${productId}/reviews`;
+
+  const created = await ctx.request('POST', path, { token: first, body: { rating: 5, comment: 'Lovely' } });
+  assert.strictEqual(created.status, 201);
+  assert.deepStrictEqual(created.body.product, { rating: 5, reviewCount: 1 });
+
+  const duplicate = await ctx.request('POST', path, { token: first, body: { rating: 1 } });
+  assert.strictEqual(duplicate.status, 409);
+
+  const other = await ctx.request('POST', path, { token: second, body: { rating: 2 } });
+  assert.deepStrictEqual(other.body.product, { rating: 3.5, reviewCount: 2 });
+
+  const edited = await ctx.request('PUT', `${path}/${created.body.data._id}`, { token: first, body: { rating: 4 } });
+  assert.strictEqual(edited.status, 200);
+  assert.strictEqual(edited.body.data.rating, 4);
+  assert.deepStrictEqual(await productRating(), { rating: 3, reviewCount: 2 });
+
+  const foreign = await ctx.request('PUT', `${path}/${other.body.data._id}`, { token: first, body: { rating: 5 } });
+  assert.strictEqual(foreign.status, 403);
+
+  const deleted = await ctx.request('DELETE', `${path}/${other.body.data._id}`, { token: second });
+  assert.strictEqual(deleted.status, 200);
+  assert.deepStrictEqual(await productRating(), { rating: 4, reviewCount: 1 });
+});
+
+test('only buyers can review', async () => {
+  const token = await ctx.createUser('browser@example.com');
+
+  const stranger = await ctx.request('POST', `/products/${productId}/reviews`, { token, body: { rating: 3 } });
+  const own = await ctx.request('POST', `/products/${productId}/reviews`, { token: seller, body: { rating: 5 } });
+
+  assert.strictEqual(stranger.status, 403);
+  assert.strictEqual(own.status, 403);
+});
+
+test('hidden reviews stop counting towards the rating', async () => {
+  const token = await addBuyer('cleo@example.com');
+  const { body } = await ctx.request('POST', `/products/${productId}/reviews`, { token, body: { rating: 1 } });
+  assert.strictEqual(body.product.reviewCount, 2);
+  const path = `/admin/reviews/${body.data._id}`;
+
+  const refused = await ctx.request('PATCH', path, { token, body: { status: 'hidden' } });
+  assert.strictEqual(refused.status, 403);
+
+  const hidden = await ctx.request('PATCH', path, { token: moderator, body: { status: 'hidden', reason: 'Spam' } });
+  assert.strictEqual(hidden.status, 200);
+  assert.strictEqual(hidden.body.data.moderation.reason, 'Spam');
+  assert.deepStrictEqual(hidden.body.product, { rating: 4, reviewCount: 1 });
+
+  const shown = await ctx.request('PATCH', path, { token: moderator, body: { status: 'visible' } });
+  assert.deepStrictEqual(shown.body.product, { rating: 2.5, reviewCount: 2 });
+});
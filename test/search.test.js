@@ -0,0 +1,34 @@
+const { test, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const { ObjectId } = require('mongodb');
+const { buildIndex, searchIndex } = require('../search-index');
+const { startApp } = require('./helpers/app');
+
+let ctx;
+
+before(async () => {
+  ctx = await startApp();
+});
+
+after(() => ctx.close());
+
+beforeEach(async () => {
+  await ctx.db.collection('products').deleteMany({});
+});
+
+test('search returns every match', () => {
+  const products = Array.from({ length: 600 }, (_, i) => ({ _id: new ObjectId(), productName: `Cotton shirt ${i}` }));
+
+  assert.strictEqual(searchIndex(buildIndex(products), 'cotton').length, 600);
+  assert.strictEqual(searchIndex(buildIndex(products), 'cotton', { limit: 5 }).length, 5);
+});
+
+test('a search made only of stopwords lists all products', async () => {
+  await ctx.addProduct({ productName: 'Jute bag' });
+  await ctx.addProduct({ productName: 'Silk scarf' });
+
+  const result = await ctx.request('GET', '/products?search=the%20and&facets=false');
+
+  assert.strictEqual(result.status, 200, JSON.stringify(result.body));
+  assert.strictEqual(result.body.pagination.total, 2);
+});
@@ -0,0 +1,43 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { parseActivityQuery } = require('../timeseries');
+
+const range = (query) => {
+  const { from, to, keys, error } = parseActivityQuery(query);
+  assert.strictEqual(error, undefined);
+  return { from: from.toISOString(), to: to.toISOString(), keys };
+};
+
+test('a date-only to covers that whole day', () => {
+  const { to, keys } = range({ from: '2024-01-01', to: '2024-01-07' });
+
+  assert.strictEqual(to, '2024-01-08T00:00:00.000Z');
+  assert.strictEqual(keys[keys.length - 1], '2024-01-07');
+});
+
+test('dates are days in the requested timezone', () => {
+  const { from, to, keys } = range({ from: '2024-01-01', to: '2024-01-07', tz: 'America/New_York' });
+
+  assert.strictEqual(from, '2024-01-01T05:00:00.000Z');
+  assert.strictEqual(to, '2024-01-08T05:00:00.000Z');
+  assert.deepStrictEqual([keys[0], keys[keys.length - 1]], ['2024-01-01', '2024-01-07']);
+});
+
+test('the default range starts on a bucket boundary', () => {
+  const { from, keys } = range({ to: '2024-03-13T15:30:00Z', bucket: 'week' });
+
+  assert.strictEqual(from, '2023-12-25T00:00:00.000Z');
+  assert.strictEqual(keys.length, 12);
+});
+
+test('month buckets count back from the last day of a month', () => {
+  const { from, to, keys } = range({ to: '2024-03-31', bucket: 'month' });
+
+  assert.strictEqual(from, '2023-04-01T00:00:00.000Z');
+  assert.strictEqual(to, '2024-04-01T00:00:00.000Z');
+  assert.strictEqual(keys.length, 12);
+});
+
+test('invalid calendar dates are rejected', () => {
+  assert.deepStrictEqual(parseActivityQuery({ from: '2024-02-30' }), { error: 'from must be a valid date' });
+});
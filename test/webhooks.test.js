@@ -0,0 +1,122 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+const dns = require('dns');
+const { once } = require('events');
+const { ObjectId } = require('mongodb');
+const { startApp } = require('./helpers/app');
+const { checkWebhookUrl, sendDelivery } = require('../webhooks');
+
+let ctx;
+
+before(async () => {
+  process.env.CRON_SECRET = 'cron-secret';
+  ctx = await startApp();
+});
+
+after(() => ctx.close());
+
+test('webhook URLs on internal addresses are refused', async () => {
+  for (const url of [
+    'http://127.0.0.1:27017/',
+    'http://localhost:3000/hook',
+    'http://169.254.169.254/latest/meta-data',
+    'http://10.0.0.5/hook',
+    'http://192.168.1.10/hook',
+    'http://[::1]/hook',
+    'http://[::ffff:127.0.0.1]/hook',
+    'http://2130706433/'
+  ]) {
+    assert.match(await checkWebhookUrl(url), /loopback, private or link-local/, url);
+  }
+});
+
+test('webhook URLs must be http or https', async () => {
+  assert.strictEqual(await checkWebhookUrl('ftp://93.184.216.34/hook'), 'must use http or https');
+});
+
+test('public addresses are allowed', async () => {
+  assert.strictEqual(await checkWebhookUrl('https://93.184.216.34/hook'), null);
+  assert.strictEqual(await checkWebhookUrl('http://[2606:2800:220:1::]/hook'), null);
+});
+
+test('registering an internal URL gets 400', async () => {
+  const token = await ctx.createUser('hooks@example.com');
+
+  const result = await ctx.request('POST', '/webhooks', {
+    token,
+    body: { url: 'http://169.254.169.254/latest/meta-data', events: ['product.created'] }
+  });
+
+  assert.strictEqual(result.status, 400);
+  assert.strictEqual(result.body.details[0].field, 'url');
+});
+
+test('the cron route needs CRON_SECRET', async () => {
+  assert.strictEqual((await ctx.request('GET', '/cron/webhooks')).status, 401);
+  assert.strictEqual((await ctx.request('GET', '/cron/webhooks', { token: 'wrong' })).status, 401);
+
+  const result = await ctx.request('GET', '/cron/webhooks', { token: 'cron-secret' });
+  assert.strictEqual(result.status, 200);
+  assert.deepStrictEqual(result.body.data, { delivered: 0, retrying: 0, failed: 0 });
+});
+
+// A receiver on 127.0.0.1 that answers every request with the given status
+// and headers, and counts what it got
+const startReceiver = async (status, headers = {}) => {
+  const server = http.createServer((req, res) => {
+    server.received++;
+    req.resume();
+    res.writeHead(status, headers).end();
+  });
+  server.received = 0;
+  server.listen(0, '127.0.0.1');
+  await once(server, 'listening');
+  return server;
+};
+
+const delivery = { _id: new ObjectId(), event: 'product.created', createdAt: new Date(), payload: {} };
+
+test('a host that resolves to an internal address when sending is not called', async (t) => {
+  const receiver = await startReceiver(200);
+  t.after(() => receiver.close());
+  // Public when the webhook was registered, loopback now
+  t.mock.method(dns.promises, 'lookup', async () => [{ address: '127.0.0.1', family: 4 }]);
+
+  const result = await sendDelivery(delivery, { url: `http://rebind.test:${receiver.address().port}/hook`, secret: 's' });
+
+  assert.strictEqual(result.ok, false);
+  assert.match(result.error, /loopback, private or link-local/);
+  assert.strictEqual(receiver.received, 0);
+});
+
+// Lets the test receivers' host through, like publicLookup would a public one
+const lookupTestHost = (hostname, options, callback) => {
+  if (hostname !== 'hooks.test') return callback(new Error(`unexpected lookup of ${hostname}`));
+  return options.all ? callback(null, [{ address: '127.0.0.1', family: 4 }]) : callback(null, '127.0.0.1', 4);
+};
+
+test('redirects are followed only to allowed addresses', async (t) => {
+  const target = await startReceiver(200);
+  t.after(() => target.close());
+  const port = target.address().port;
+
+  for (const location of ['http://169.254.169.254/latest/meta-data', `http://127.0.0.1:${port}/`]) {
+    const redirecting = await startReceiver(307, { Location: location });
+    const url = `http://hooks.test:${redirecting.address().port}/hook`;
+    const result = await sendDelivery(delivery, { url, secret: 's' }, { lookup: lookupTestHost });
+    redirecting.close();
+
+    assert.strictEqual(result.ok, false, location);
+    assert.match(result.error, /loopback, private or link-local/, location);
+    assert.strictEqual(redirecting.received, 1, location);
+  }
+  assert.strictEqual(target.received, 0);
+
+  const redirecting = await startReceiver(308, { Location: `http://hooks.test:${port}/moved` });
+  t.after(() => redirecting.close());
+  const result = await sendDelivery(delivery, { url: `http://hooks.test:${redirecting.address().port}/hook`, secret: 's' }, { lookup: lookupTestHost });
+
+  assert.strictEqual(result.ok, true, result.error);
+  assert.strictEqual(target.received, 1);
+});
@@ -0,0 +1,167 @@
+// Helpers for bucketed activity charts. Buckets are calendar days, ISO weeks
+// (starting Monday) or months in the requested timezone, keyed 'YYYY-MM-DD'
+// by the first day of the bucket.
+
+const BUCKETS = ['day', 'week', 'month'];
+const MAX_BUCKETS = 400;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Default range when `from` is missing, counted back from `to`
+const DEFAULT_SPAN = { day: 7, week: 12, month: 12 };
+
+const isValidTimezone = (timezone) => {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+// Calendar date of an instant in a timezone, as 'YYYY-MM-DD'
+const localDateKey = (date, timezone) => {
+  // en-CA formats as YYYY-MM-DD
+  return new Intl.DateTimeFormat('en-CA', {
+    timeZone: timezone,
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit'
+  }).format(date);
+};
+
+// Map a 'YYYY-MM-DD' day key to the key of the bucket containing it. Pure
+// calendar arithmetic, so UTC is used only as a neutral container.
+const bucketKeyForDay = (dayKey, bucket) => {
+  if (bucket === 'day') return dayKey;
+  if (bucket === 'month') return dayKey.slice(0, 8) + '01';
+
+  const date = new Date(dayKey + 'T00:00:00Z');
+  const sinceMonday = (date.getUTCDay() + 6) % 7;
+  return new Date(date.getTime() - sinceMonday * DAY_MS).toISOString().slice(0, 10);
+};
+
+const DATE_ONLY = /^\d{4}-\d{2}-\d{2}$/;
+
+// Milliseconds the timezone is ahead of UTC at an instant
+const timezoneOffset = (date, timezone) => {
+  const parts = Object.fromEntries(new Intl.DateTimeFormat('en-US', {
+    timeZone: timezone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: 'numeric',
+    day: 'numeric',
+    hour: 'numeric',
+    minute: 'numeric',
+    second: 'numeric'
+  }).formatToParts(date).map(part => [part.type, part.value]));
+
+  const wallClock = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+  return wallClock - Math.floor(date.getTime() / 1000) * 1000;
+};
+
+// The instant a 'YYYY-MM-DD' day starts in a timezone. The offset is read
+// again at the first guess, in case a DST change lies in between.
+const startOfDay = (dayKey, timezone) => {
+  const midnight = Date.parse(dayKey + 'T00:00:00Z');
+  const guess = midnight - timezoneOffset(new Date(midnight), timezone);
+  return new Date(midnight - timezoneOffset(new Date(guess), timezone));
+};
+
+// Move a bucket key by `count` buckets. Keys of month buckets are always on
+// day 1, so changing the month never overflows into the next one.
+const addBuckets = (key, bucket, count) => {
+  const date = new Date(key + 'T00:00:00Z');
+  if (bucket === 'day') date.setUTCDate(date.getUTCDate() + count);
+  if (bucket === 'week') date.setUTCDate(date.getUTCDate() + count * 7);
+  if (bucket === 'month') {
+    date.setUTCDate(1);
+    date.setUTCMonth(date.getUTCMonth() + count);
+  }
+  return date.toISOString().slice(0, 10);
+};
+
+// Day key of a ?from= / ?to= value: a date is taken as that day in the
+// timezone, a date-time as the day it falls on there. null if invalid.
+const parseDay = (value, timezone) => {
+  const str = String(value);
+  if (DATE_ONLY.test(str)) {
+    const day = new Date(str + 'T00:00:00Z');
+    return !isNaN(day.getTime()) && day.toISOString().startsWith(str) ? str : null;
+  }
+
+  const date = new Date(str);
+  return isNaN(date.getTime()) ? null : localDateKey(date, timezone);
+};
+
+// Parse ?from=&to=&bucket=&tz= into a range, or { error }. The range is
+// snapped to whole buckets in the timezone: from is the start of the first
+// bucket and to the start of the bucket after the last one, so it is an
+// exclusive end ($lt).
+const parseActivityQuery = (query) => {
+  const bucket = query.bucket || 'day';
+  const timezone = query.tz || query.timezone || 'UTC';
+
+  if (!BUCKETS.includes(bucket)) {
+    return { error: `bucket must be one of: ${BUCKETS.join(', ')}` };
+  }
+
+  if (!isValidTimezone(timezone)) {
+    return { error: `Unknown timezone: ${timezone}` };
+  }
+
+  const toDay = query.to ? parseDay(query.to, timezone) : localDateKey(new Date(), timezone);
+  if (!toDay) {
+    return { error: 'to must be a valid date' };
+  }
+  const lastKey = bucketKeyForDay(toDay, bucket);
+
+  let firstKey;
+  if (query.from) {
+    const fromDay = parseDay(query.from, timezone);
+    if (!fromDay) {
+      return { error: 'from must be a valid date' };
+    }
+    firstKey = bucketKeyForDay(fromDay, bucket);
+  } else {
+    firstKey = addBuckets(lastKey, bucket, -(DEFAULT_SPAN[bucket] - 1));
+  }
+
+  if (firstKey > lastKey) {
+    return { error: 'from must be before to' };
+  }
+
+  const keys = listBucketKeys(firstKey, lastKey, bucket);
+  if (keys.length > MAX_BUCKETS) {
+    return { error: `Range too large: at most ${MAX_BUCKETS} ${bucket} buckets` };
+  }
+
+  return {
+    from: startOfDay(firstKey, timezone),
+    to: startOfDay(addBuckets(lastKey, bucket, 1), timezone),
+    bucket,
+    timezone,
+    keys
+  };
+};
+
+// All bucket keys from the first to the last, in order
+const listBucketKeys = (firstKey, lastKey, bucket) => {
+  const keys = [];
+  for (let key = firstKey; key <= lastKey && keys.length <= MAX_BUCKETS; key = addBuckets(key, bucket, 1)) {
+    keys.push(key);
+  }
+  return keys;
+};
+
+// Aggregation expression producing the bucket key of a date field
+const bucketKeyExpression = (field, bucket, timezone) => ({
+  $dateToString: {
+    format: '%Y-%m-%d',
+    timezone,
+    date: {
+      $dateTrunc: { date: field, unit: bucket, timezone, startOfWeek: 'monday' }
+    }
+  }
+});
+
+module.exports = { BUCKETS, parseActivityQuery, listBucketKeys, bucketKeyExpression };
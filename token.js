@@ -0,0 +1,66 @@
+const crypto = require('crypto');
+
+// Compact HS256 JWTs signed with JWT_SECRET. Production refuses to start
+// without it: a per-process secret would make every instance reject the
+// others' tokens. In development a random one is generated, so tokens do not
+// survive a restart.
+let secret = process.env.JWT_SECRET;
+if (!secret && process.env.NODE_ENV === 'production') {
+  throw new Error('JWT_SECRET must be set in production');
+}
+if (!secret) {
+  secret = crypto.randomBytes(32).toString('hex');
+  console.log("⚠️  JWT_SECRET not set - using a temporary secret, sessions reset on restart");
+}
+
+const ACCESS_TOKEN_TTL = parseInt(process.env.ACCESS_TOKEN_TTL) || 60 * 60; // seconds
+const REFRESH_TOKEN_TTL = parseInt(process.env.REFRESH_TOKEN_TTL) || 30 * 24 * 60 * 60;
+
+const base64url = (input) => Buffer.from(input).toString('base64url');
+
+const sign = (data) => crypto.createHmac('sha256', secret).update(data).digest('base64url');
+
+const signToken = (claims, expiresIn = ACCESS_TOKEN_TTL) => {
+  const now = Math.floor(Date.now() / 1000);
+  const header = base64url(JSON.stringify({ alg: 'HS256', typ: 'JWT' }));
+  const payload = base64url(JSON.stringify({ ...claims, iat: now, exp: now + expiresIn }));
+  return `${header}.${payload}.${sign(`${header}.${payload}`)}`;
+};
+
+// Returns the claims of a valid, unexpired token, or null
+const verifyToken = (token) => {
+  if (typeof token !== 'string') return null;
+
+  const parts = token.split('.');
+  if (parts.length !== 3) return null;
+
+  const [header, payload, signature] = parts;
+  const expected = Buffer.from(sign(`${header}.${payload}`));
+  const actual = Buffer.from(signature);
+  if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) return null;
+
+  try {
+    const { alg } = JSON.parse(Buffer.from(header, 'base64url').toString('utf8'));
+    if (alg !== 'HS256') return null;
+
+    const claims = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+    if (!claims.exp || claims.exp <= Math.floor(Date.now() / 1000)) return null;
+    return claims;
+  } catch (error) {
+    return null;
+  }
+};
+
+// Refresh tokens are opaque random strings; only their hash is stored
+const generateRefreshToken = () => crypto.randomBytes(48).toString('base64url');
+
+const hashRefreshToken = (token) => crypto.createHash('sha256').update(String(token)).digest('hex');
+
+module.exports = {
+  ACCESS_TOKEN_TTL,
+  REFRESH_TOKEN_TTL,
+  signToken,
+  verifyToken,
+  generateRefreshToken,
+  hashRefreshToken
+};
@@ -0,0 +1,209 @@
+const { ObjectId } = require('mongodb');
+const { SETTABLE_STATUSES } = require('./product-status');
+const { WEBHOOK_EVENTS } = require('./webhooks');
+const { CURRENCY_PATTERN } = require('./currency');
+
+// Minimal declarative request validation. A schema maps field names to rules:
+//   { type, required, nullable, min, max, minLength, maxLength, trim, uppercase, enum, custom }
+// Types: string, number, integer, boolean, email, url, objectId, and list
+// (an array or comma separated string of strings; enum applies per item).
+// Values are coerced (e.g. "4.5" -> 4.5) and unknown fields are dropped.
+// A nullable field keeps an explicit null, so updates can clear it.
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const NUMBER_PATTERN = /^-?(\d+\.?\d*|\.\d+)(e[-+]?\d+)?$/i;
+
+const isEmpty = (value) => value === undefined || value === null || (typeof value === 'string' && value.trim() === '');
+
+const coerce = (value, rule) => {
+  switch (rule.type) {
+    case 'number':
+    case 'integer': {
+      let num = value;
+      if (typeof value === 'string') {
+        if (!NUMBER_PATTERN.test(value.trim())) return { error: 'must be a number' };
+        num = Number(value.trim());
+      }
+      if (typeof num !== 'number' || !isFinite(num)) return { error: 'must be a number' };
+      if (rule.type === 'integer' && !Number.isInteger(num)) return { error: 'must be an integer' };
+      if (rule.min !== undefined && num < rule.min) return { error: `must be at least ${rule.min}` };
+      if (rule.max !== undefined && num > rule.max) return { error: `must be at most ${rule.max}` };
+      return { value: num };
+    }
+    case 'boolean':
+      if (value === true || value === 'true') return { value: true };
+      if (value === false || value === 'false') return { value: false };
+      return { error: 'must be true or false' };
+    case 'list': {
+      const items = typeof value === 'string' ? value.split(',') : value;
+      if (!Array.isArray(items) || items.some(item => typeof item !== 'string')) return { error: 'must be a list of strings' };
+      const list = [...new Set(items.map(item => item.trim()).filter(Boolean))];
+      if (rule.minLength !== undefined && list.length < rule.minLength) return { error: `must have at least ${rule.minLength} item(s)` };
+      return { value: list };
+    }
+    case 'objectId':
+      if (typeof value !== 'string' || !ObjectId.isValid(value) || value.length !== 24) {
+        return { error: 'must be a valid id' };
+      }
+      return { value };
+    case 'email': {
+      if (typeof value !== 'string') return { error: 'must be a valid email address' };
+      const email = value.trim();
+      if (!EMAIL_PATTERN.test(email) || email.length > 254) return { error: 'must be a valid email address' };
+      return { value: email };
+    }
+    case 'url': {
+      if (typeof value !== 'string') return { error: 'must be a valid URL' };
+      try {
+        const url = new URL(value.trim());
+        if (url.protocol !== 'http:' && url.protocol !== 'https:') return { error: 'must be an http(s) URL' };
+        return { value: url.toString() };
+      } catch (error) {
+        return { error: 'must be a valid URL' };
+      }
+    }
+    case 'string':
+    default: {
+      if (typeof value !== 'string' && typeof value !== 'number') return { error: 'must be a string' };
+      let str = rule.trim === false ? String(value) : String(value).trim();
+      if (rule.uppercase) str = str.toUpperCase();
+      if (rule.minLength !== undefined && str.length < rule.minLength) return { error: `must be at least ${rule.minLength} characters` };
+      if (rule.maxLength !== undefined && str.length > rule.maxLength) return { error: `must be at most ${rule.maxLength} characters` };
+      return { value: str };
+    }
+  }
+};
+
+// Returns { value, errors }. With partial: true required fields may be omitted
+// (for updates) but anything present is still validated.
+const validate = (schema, data, { partial = false } = {}) => {
+  const value = {};
+  const errors = [];
+  const input = data && typeof data === 'object' ? data : {};
+
+  for (const [field, rule] of Object.entries(schema)) {
+    const raw = input[field];
+
+    if (raw === null && rule.nullable) {
+      value[field] = null;
+      continue;
+    }
+
+    if (isEmpty(raw)) {
+      if (rule.required && !partial) errors.push({ field, message: 'is required' });
+      continue;
+    }
+
+    const result = coerce(raw, rule);
+    if (result.error) {
+      errors.push({ field, message: result.error });
+      continue;
+    }
+
+    const values = Array.isArray(result.value) ? result.value : [result.value];
+    if (rule.enum && !values.every(v => rule.enum.includes(v))) {
+      errors.push({ field, message: `must be one of: ${rule.enum.join(', ')}` });
+      continue;
+    }
+
+    if (rule.custom) {
+      const message = rule.custom(result.value);
+      if (message) {
+        errors.push({ field, message });
+        continue;
+      }
+    }
+
+    value[field] = result.value;
+  }
+
+  return { value, errors };
+};
+
+const sendValidationError = (res, errors) => {
+  return res.status(400).send({
+    success: false,
+    error: 'Validation failed',
+    details: errors
+  });
+};
+
+// Middleware: replaces req.body with the validated, coerced value
+const validateBody = (schema, options) => (req, res, next) => {
+  const { value, errors } = validate(schema, req.body, options);
+  if (errors.length > 0) {
+    return sendValidationError(res, errors);
+  }
+  req.body = value;
+  next();
+};
+
+const schemas = {
+  product: {
+    productName: { type: 'string', required: true, maxLength: 200 },
+    productImage: { type: 'url' }, // optional - images can be uploaded instead
+    price: { type: 'number', required: true, min: 0 },
+    currency: { type: 'string', uppercase: true, custom: (v) => CURRENCY_PATTERN.test(v) ? null : 'must be a 3-letter ISO 4217 code' },
+    originCountry: { type: 'string', required: true, maxLength: 100 },
+    // rating is not accepted here - it is the average of the product's reviews
+    availableQuantity: { type: 'integer', required: true, min: 0 },
+    description: { type: 'string', maxLength: 2000 },
+    category: { type: 'string', maxLength: 100, nullable: true },
+    userName: { type: 'string', maxLength: 100 },
+    status: { type: 'string', enum: SETTABLE_STATUSES }
+  },
+  category: {
+    name: { type: 'string', required: true, maxLength: 100 },
+    slug: { type: 'string', maxLength: 100, custom: (v) => /^[a-z0-9]+(-[a-z0-9]+)*$/.test(v) ? null : 'must be lowercase letters, numbers and dashes' },
+    parent: { type: 'string', maxLength: 100, nullable: true }
+  },
+  import: {
+    productId: { type: 'objectId', required: true },
+    importedQuantity: { type: 'integer', required: true, min: 1 },
+    userName: { type: 'string', maxLength: 100 }
+  },
+  importAdjustment: {
+    delta: { type: 'integer', required: true, custom: (v) => v === 0 ? 'must not be zero' : null },
+    note: { type: 'string', maxLength: 500 }
+  },
+  review: {
+    rating: { type: 'integer', required: true, min: 1, max: 5 },
+    comment: { type: 'string', maxLength: 2000 }
+  },
+  reviewReply: {
+    text: { type: 'string', required: true, maxLength: 1000 }
+  },
+  reviewModeration: {
+    status: { type: 'string', required: true, enum: ['visible', 'hidden'] },
+    reason: { type: 'string', maxLength: 500 }
+  },
+  wishlistItem: {
+    productId: { type: 'objectId', required: true },
+    notify: { type: 'boolean' }
+  },
+  wishlistUpdate: {
+    notify: { type: 'boolean', required: true }
+  },
+  webhook: {
+    url: { type: 'url', required: true },
+    events: { type: 'list', required: true, minLength: 1, enum: WEBHOOK_EVENTS },
+    description: { type: 'string', maxLength: 200 },
+    active: { type: 'boolean' }
+  },
+  user: {
+    name: { type: 'string', required: true, maxLength: 100 },
+    email: { type: 'email', required: true },
+    password: { type: 'string', required: true, minLength: 6, maxLength: 200, trim: false },
+    photoURL: { type: 'url' }
+  },
+  userUpdate: {
+    name: { type: 'string', maxLength: 100 },
+    photoURL: { type: 'url' }
+  },
+  login: {
+    email: { type: 'email', required: true },
+    password: { type: 'string', required: true, maxLength: 200, trim: false }
+  }
+};
+
+module.exports = { validate, validateBody, sendValidationError, schemas };
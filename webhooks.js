@@ -0,0 +1,272 @@
+const crypto = require('crypto');
+const dns = require('dns').promises;
+const http = require('http');
+const https = require('https');
+const net = require('net');
+
+// Outgoing webhooks. Events are queued as documents in webhookDeliveries and
+// sent by processQueue, which claims due deliveries one at a time so several
+// workers (or instances) never send the same one twice. Failed attempts are
+// retried with exponential backoff until WEBHOOK_MAX_ATTEMPTS is reached.
+//
+// Each request is a JSON POST signed with the webhook's secret:
+//   X-Webhook-Event:     product.created
+//   X-Webhook-Delivery:  delivery id (stable across retries)
+//   X-Webhook-Timestamp: unix seconds
+//   X-Webhook-Signature: sha256=HMAC_SHA256(secret, `${timestamp}.${body}`)
+//
+// URLs whose host resolves to a loopback, private or link-local address are
+// refused, so webhooks can't reach the server's own network: when registered,
+// and on every attempt by the DNS lookup of the connection itself, so the
+// address checked is the one connected to (a host can't answer the check
+// with a public address and the request with an internal one). Redirects are
+// followed through the same check. WEBHOOK_ALLOW_PRIVATE=true lifts that for
+// local receivers in development and tests.
+
+const WEBHOOK_EVENTS = ['product.created', 'product.updated', 'product.deleted', 'import.created', 'import.removed'];
+
+const MAX_ATTEMPTS = parseInt(process.env.WEBHOOK_MAX_ATTEMPTS) || 8;
+const BASE_DELAY = 30 * 1000; // 30s, 1m, 2m, 4m... capped at MAX_DELAY
+const MAX_DELAY = 6 * 60 * 60 * 1000;
+const REQUEST_TIMEOUT = 10 * 1000;
+const LOCK_TIME = 60 * 1000; // a claim left by a crashed worker expires after this
+const MAX_REDIRECTS = 3;
+const ALLOW_PRIVATE = process.env.WEBHOOK_ALLOW_PRIVATE === 'true';
+
+// Loopback, private, link-local, carrier-grade NAT, multicast and reserved
+// ranges (IPv4-mapped IPv6 addresses are checked against the IPv4 ones)
+const blockedRanges = new net.BlockList();
+[
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+  ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 4], ['240.0.0.0', 4]
+].forEach(([address, prefix]) => blockedRanges.addSubnet(address, prefix, 'ipv4'));
+[
+  ['::', 128], ['::1', 128], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]
+].forEach(([address, prefix]) => blockedRanges.addSubnet(address, prefix, 'ipv6'));
+
+const isPrivateAddress = (address) => blockedRanges.check(address, net.isIPv6(address) ? 'ipv6' : 'ipv4');
+
+const PRIVATE_ADDRESS_ERROR = 'must not point to a loopback, private or link-local address';
+
+const urlHost = (parsed) => parsed.hostname.replace(/^\[|\]$/g, '');
+
+// What can be told without DNS: the scheme, and the address of a URL whose
+// host is an IP (connections to those never do a lookup). Returns an error
+// message or null.
+const checkUrlTarget = (parsed) => {
+  if (!['http:', 'https:'].includes(parsed.protocol)) return 'must use http or https';
+  const host = urlHost(parsed);
+  if (!ALLOW_PRIVATE && net.isIP(host) && isPrivateAddress(host)) return PRIVATE_ADDRESS_ERROR;
+  return null;
+};
+
+// dns.lookup for webhook connections that fails on internal addresses
+const publicLookup = (hostname, options, callback) => {
+  dns.lookup(hostname, { ...options, all: true }).then(addresses => {
+    if (addresses.length === 0 || addresses.some(({ address }) => isPrivateAddress(address))) {
+      callback(new Error(`${hostname} ${PRIVATE_ADDRESS_ERROR}`));
+    } else if (options.all) {
+      callback(null, addresses);
+    } else {
+      callback(null, addresses[0].address, addresses[0].family);
+    }
+  }, error => callback(error));
+};
+
+// Resolve the URL's host and refuse internal targets. Returns an error
+// message, or null when the URL may be called.
+const checkWebhookUrl = async (url) => {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch (error) {
+    return 'must be a valid URL';
+  }
+  const targetError = checkUrlTarget(parsed);
+  if (targetError || ALLOW_PRIVATE) return targetError;
+
+  const host = urlHost(parsed);
+  let addresses;
+  try {
+    addresses = net.isIP(host) ? [{ address: host }] : await dns.lookup(host, { all: true });
+  } catch (error) {
+    return `host ${host} could not be resolved`;
+  }
+
+  if (addresses.some(({ address }) => isPrivateAddress(address))) {
+    return PRIVATE_ADDRESS_ERROR;
+  }
+  return null;
+};
+
+const generateSecret = () => `whsec_${crypto.randomBytes(24).toString('hex')}`;
+
+const signPayload = (secret, timestamp, body) => {
+  return 'sha256=' + crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+};
+
+// Delay before retrying after the given number of failed attempts
+const backoffDelay = (attempts) => Math.min(BASE_DELAY * 2 ** (attempts - 1), MAX_DELAY);
+
+// POST a body and resolve to the response status (the body is discarded).
+// lookup resolves the host for the connection.
+const postOnce = (url, headers, body, lookup) => new Promise((resolve, reject) => {
+  const transport = url.protocol === 'https:' ? https : http;
+  const request = transport.request(url, {
+    method: 'POST',
+    headers: { ...headers, 'Content-Length': Buffer.byteLength(body) },
+    timeout: REQUEST_TIMEOUT,
+    ...(lookup && { lookup })
+  }, response => {
+    response.resume();
+    resolve({ status: response.statusCode, location: response.headers.location });
+  });
+  request.on('timeout', () => request.destroy(new Error('Request timed out')));
+  request.on('error', reject);
+  request.end(body);
+});
+
+// POST one delivery, following redirects to URLs that pass the same checks.
+// Returns { ok, status, error, durationMs }. options.lookup replaces the
+// connection's DNS lookup (publicLookup, or none with WEBHOOK_ALLOW_PRIVATE).
+const sendDelivery = async (delivery, webhook, { lookup = ALLOW_PRIVATE ? null : publicLookup } = {}) => {
+  const body = JSON.stringify({
+    id: delivery._id.toString(),
+    event: delivery.event,
+    createdAt: delivery.createdAt,
+    data: delivery.payload
+  });
+  const timestamp = Math.floor(Date.now() / 1000);
+  const started = Date.now();
+
+  const headers = {
+    'Content-Type': 'application/json',
+    'User-Agent': 'ExportHub-Webhooks/1.0',
+    'X-Webhook-Event': delivery.event,
+    'X-Webhook-Delivery': delivery._id.toString(),
+    'X-Webhook-Timestamp': String(timestamp),
+    'X-Webhook-Signature': signPayload(webhook.secret, timestamp, body)
+  };
+  const failed = (error, status = null) => ({ ok: false, status, error, durationMs: Date.now() - started });
+
+  try {
+    let url = new URL(webhook.url);
+    for (let redirects = 0; ; redirects++) {
+      const blocked = checkUrlTarget(url);
+      if (blocked) return failed(`URL ${blocked}`);
+
+      const { status, location } = await postOnce(url, headers, body, lookup);
+      if (status >= 200 && status < 300) {
+        return { ok: true, status, error: null, durationMs: Date.now() - started };
+      }
+      if (status < 300 || status >= 400 || !location) return failed(`HTTP ${status}`, status);
+      if (redirects === MAX_REDIRECTS) return failed(`Too many redirects (HTTP ${status})`, status);
+
+      url = new URL(location, url);
+    }
+  } catch (error) {
+    return failed(error.message);
+  }
+};
+
+// Claim the next due delivery: pending and due, or stuck in 'sending' after
+// its lock expired
+const claimNext = (deliveries) => {
+  const now = new Date();
+  return deliveries.findOneAndUpdate(
+    {
+      $or: [
+        { status: 'pending', nextAttemptAt: { $lte: now } },
+        { status: 'sending', lockedUntil: { $lte: now } }
+      ]
+    },
+    { $set: { status: 'sending', lockedUntil: new Date(now.getTime() + LOCK_TIME) } },
+    { sort: { nextAttemptAt: 1 }, returnDocument: 'after' }
+  );
+};
+
+// Store the outcome of an attempt and schedule the retry. Returns the new
+// status: delivered, pending (will retry) or failed.
+const recordAttempt = async (deliveries, delivery, result, { retry = true } = {}) => {
+  const attempts = (delivery.attempts || 0) + 1;
+  const status = result.ok ? 'delivered' : retry && attempts < MAX_ATTEMPTS ? 'pending' : 'failed';
+
+  await deliveries.updateOne(
+    { _id: delivery._id },
+    {
+      $set: {
+        status,
+        attempts,
+        responseStatus: result.status,
+        lastError: result.error,
+        nextAttemptAt: status === 'pending' ? new Date(Date.now() + backoffDelay(attempts)) : null,
+        ...(result.ok && { deliveredAt: new Date() })
+      },
+      $unset: { lockedUntil: '' },
+      $push: {
+        attemptLog: { at: new Date(), status: result.status, error: result.error, durationMs: result.durationMs }
+      }
+    }
+  );
+  return status;
+};
+
+// Send up to `limit` due deliveries. Returns counts per outcome.
+const processQueue = async ({ deliveries, webhooks, limit = 20 }) => {
+  const counts = { delivered: 0, retrying: 0, failed: 0 };
+
+  for (let i = 0; i < limit; i++) {
+    const delivery = await claimNext(deliveries);
+    if (!delivery) break;
+
+    const webhook = await webhooks.findOne({ _id: delivery.webhookId });
+    const usable = !!(webhook && webhook.active);
+    const result = usable
+      ? await sendDelivery(delivery, webhook)
+      : { ok: false, status: null, error: 'Webhook deleted or disabled', durationMs: 0 };
+
+    // Nothing to retry against a removed or disabled webhook
+    const status = await recordAttempt(deliveries, delivery, result, { retry: usable });
+    counts[status === 'pending' ? 'retrying' : status]++;
+  }
+
+  return counts;
+};
+
+// Poll the queue in the background. getCollections returns
+// { deliveries, webhooks } or null while the database is not connected.
+const startWebhookWorker = (getCollections, intervalMs = 5000) => {
+  let running = false;
+
+  const timer = setInterval(async () => {
+    const collections = getCollections();
+    if (running || !collections) return;
+
+    running = true;
+    try {
+      const counts = await processQueue(collections);
+      if (counts.delivered || counts.retrying || counts.failed) {
+        console.log('📤 Webhook deliveries:', counts);
+      }
+    } catch (error) {
+      console.error('❌ Webhook worker error:', error);
+    } finally {
+      running = false;
+    }
+  }, intervalMs);
+
+  timer.unref();
+  return () => clearInterval(timer);
+};
+
+module.exports = {
+  WEBHOOK_EVENTS,
+  MAX_ATTEMPTS,
+  generateSecret,
+  signPayload,
+  backoffDelay,
+  checkWebhookUrl,
+  sendDelivery,
+  processQueue,
+  startWebhookWorker
+};